@@ -123,13 +123,14 @@ function findInPath(browserCommand) {
 
 /**
  * Discover all installed browsers on the current system
+ * @param {Object} options - { log } progress logger (default console.log)
  * @returns {Object} Map of browser names to their executable paths
  */
-function discoverBrowsers() {
+function discoverBrowsers({ log = console.log } = {}) {
   const platform = process.platform; // 'linux', 'darwin', 'win32'
   const discovered = {};
 
-  console.log(`🔍 Discovering browsers on ${platform}...\n`);
+  log(`🔍 Discovering browsers on ${platform}...\n`);
 
   // Command names to search in PATH
   const pathCommands = {
@@ -147,7 +148,7 @@ function discoverBrowsers() {
       for (const browserPath of platformPaths) {
         if (fileExists(browserPath)) {
           discovered[browserName] = browserPath;
-          console.log(`✅ Found ${browserName}: ${browserPath}`);
+          log(`✅ Found ${browserName}: ${browserPath}`);
           break; // Found this browser, move to next
         }
       }
@@ -159,7 +160,7 @@ function discoverBrowsers() {
         const foundPath = findInPath(command);
         if (foundPath) {
           discovered[browserName] = foundPath;
-          console.log(`✅ Found ${browserName}: ${foundPath} (via PATH)`);
+          log(`✅ Found ${browserName}: ${foundPath} (via PATH)`);
           break;
         }
       }
@@ -167,10 +168,10 @@ function discoverBrowsers() {
   }
 
   if (Object.keys(discovered).length === 0) {
-    console.log('❌ No browsers found!');
-    console.log('Please install Chrome, Firefox, or another supported browser.');
+    log('❌ No browsers found!');
+    log('Please install Chrome, Firefox, or another supported browser.');
   } else {
-    console.log(`\n📊 Total browsers discovered: ${Object.keys(discovered).length}`);
+    log(`\n📊 Total browsers discovered: ${Object.keys(discovered).length}`);
   }
 
   return discovered;
@@ -2,24 +2,102 @@
 // Captures YOUR machine's real browser fingerprints to use in automation
 const { chromium, firefox, webkit } = require('playwright');
 const fs = require('fs/promises');
+const http = require('http');
 const path = require('path');
 const crypto = require('crypto');
 const { discoverBrowsers, getPlaywrightBrowserType } = require('./browser-discovery');
+const { SCHEMA_VERSION, validateSchema } = require('./fingerprint-schema');
 
 const FINGERPRINTS_DIR = 'fingerprints';
+const PROBE_DIR = path.join(__dirname, 'probe');
+const PROBE_CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+};
 
 /**
- * Capture fingerprint from a specific browser
+ * Every font named in distribution_data/fonts.json, probed during capture.
+ * Sharing the list keeps captured and generated font sets comparable.
  */
-async function captureBrowserFingerprint(browserName, browserPath) {
-  console.log(`\n${'='.repeat(60)}`);
-  console.log(`🌐 Capturing fingerprint from: ${browserName}`);
-  console.log(`   Path: ${browserPath}`);
-  console.log('='.repeat(60));
+function loadFontCandidates() {
+  let fontSets = {};
+  try {
+    fontSets = require('./distribution_data/fonts.json');
+  } catch (error) {
+    console.warn(`⚠️  Could not read font candidates: ${error.message}`);
+  }
+  const candidates = new Set();
+  Object.values(fontSets).forEach(fontSet => {
+    (fontSet.core || []).forEach(font => candidates.add(font));
+    Object.values(fontSet.since || {}).forEach(list => list.forEach(font => candidates.add(font)));
+    Object.values(fontSet.variants || {}).forEach(list => list.forEach(font => candidates.add(font)));
+    (fontSet.optional || []).forEach(bundle => (bundle.fonts || []).forEach(font => candidates.add(font)));
+  });
+  return [...candidates].sort();
+}
+
+/**
+ * Codec matrix and decodingInfo configs from distribution_data/media_profiles.json,
+ * so captured media sections line up with the generator's model.
+ */
+function loadMediaProbes() {
+  let profiles = {};
+  try {
+    profiles = require('./distribution_data/media_profiles.json');
+  } catch (error) {
+    console.warn(`⚠️  Could not read media probes: ${error.message}`);
+  }
+  return {
+    codecMatrix: profiles.codecMatrix || [],
+    decodingConfigs: profiles.decodingConfigs || {},
+  };
+}
+
+/**
+ * Serve the probe/ directory on an ephemeral loopback port. Loopback origins
+ * are secure contexts, so crypto.subtle and friends behave as on HTTPS.
+ */
+function startProbeServer() {
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://127.0.0.1');
+    const filename = pathname === '/' ? 'index.html' : path.basename(pathname);
+    const contentType = PROBE_CONTENT_TYPES[path.extname(filename)];
+    try {
+      if (!contentType) throw new Error(`Not a probe file: ${filename}`);
+      const body = await fs.readFile(path.join(PROBE_DIR, filename));
+      res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+      res.end(body);
+    } catch (e) {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}/`,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+/**
+ * Capture fingerprint from a specific browser. Returns null when the browser
+ * cannot be launched or the probe fails. Progress goes through `log`.
+ */
+async function captureBrowserFingerprint(browserName, browserPath, { probeUrl, headless = false, log = console.log } = {}) {
+  log(`\n${'='.repeat(60)}`);
+  log(`🌐 Capturing fingerprint from: ${browserName}`);
+  log(`   Path: ${browserPath}`);
+  log('='.repeat(60));
 
   const playwrightType = getPlaywrightBrowserType(browserName);
   if (!playwrightType) {
-    console.log(`⚠️  Unsupported browser type: ${browserName}`);
+    log(`⚠️  Unsupported browser type: ${browserName}`);
     return null;
   }
 
@@ -39,24 +117,24 @@ async function captureBrowserFingerprint(browserName, browserPath) {
 
   let browser;
   try {
-    console.log(`🔧 Attempting to launch with executablePath: ${browserPath}`);
+    log(`🔧 Attempting to launch with executablePath: ${browserPath}`);
 
     // Special handling for Firefox - Playwright needs its own patched Firefox
     if (browserName === 'firefox' || browserName === 'safari') {
-      console.log(
+      log(
         `ℹ️  Note: Using Playwright's bundled ${playwrightType} (your system ${browserName} isn't compatible)`
       );
       browser = await playwrightBrowser.launch({
-        headless: false,
+        headless,
         timeout: 30000, // 30 second timeout
       });
     } else {
       browser = await playwrightBrowser.launch({
         executablePath: browserPath,
-        headless: false,
+        headless,
       });
     }
-    console.log(`✅ Successfully launched ${browserName}`);
+    log(`✅ Successfully launched ${browserName}`);
   } catch (error) {
     console.error(`❌ Failed to launch ${browserName}`);
     console.error(`   Error: ${error.message}`);
@@ -66,229 +144,202 @@ async function captureBrowserFingerprint(browserName, browserPath) {
     return null;
   }
 
-  const context = await browser.newContext({
-    // No overrides - we want the REAL values
-  });
-
-  const page = await context.newPage();
-
+  // Capture EVERYTHING from the real browser
+  let fingerprint;
+  let probeVersion;
   try {
-    await page.goto('https://www.google.com', { waitUntil: 'domcontentloaded', timeout: 30000 });
-  } catch (error) {
-    console.error(`❌ Failed to load page in ${browserName}: ${error.message}`);
-    await browser.close();
-    return null;
-  }
+    const context = await browser.newContext({
+      // No overrides - we want the REAL values
+    });
 
-  console.log('📸 Capturing fingerprint from browser context...');
+    const page = await context.newPage();
 
-  // Try to override webdriver flag (this may or may not work depending on browser)
-  await page.addInitScript(() => {
-    // Try to delete and redefine navigator.webdriver
     try {
-      Object.defineProperty(navigator, 'webdriver', {
-        get: () => false,
-      });
-    } catch (e) {
-      // May fail in some browsers
+      await page.goto(probeUrl, { waitUntil: 'load', timeout: 30000 });
+    } catch (error) {
+      console.error(`❌ Failed to load probe page in ${browserName}: ${error.message}`);
+      return null;
     }
-  });
-
-  // Reload to apply the script
-  await page.reload({ waitUntil: 'domcontentloaded' });
 
-  // Capture EVERYTHING from the real browser
-  const fingerprint = await page.evaluate(async () => {
-    // Helper: Detect GPU info
-    function getWebGLInfo() {
-      try {
-        const canvas = document.createElement('canvas');
-        const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
-        if (!gl) return { supported: false };
-
-        const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
-        return {
-          supported: true,
-          vendor: debugInfo ? gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL) : null,
-          renderer: debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : null,
-          glVendor: gl.getParameter(gl.VENDOR),
-          glRenderer: gl.getParameter(gl.RENDERER),
-          version: gl.getParameter(gl.VERSION),
-          shadingLanguageVersion: gl.getParameter(gl.SHADING_LANGUAGE_VERSION),
-        };
-      } catch (e) {
-        return { supported: false, error: e.message };
-      }
-    }
+    log('📸 Capturing fingerprint from browser context...');
 
-    // Helper: Canvas fingerprint
-    function getCanvasFingerprint() {
-      try {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        ctx.textBaseline = 'top';
-        ctx.font = '14px Arial';
-        ctx.fillStyle = '#f60';
-        ctx.fillRect(125, 1, 62, 20);
-        ctx.fillStyle = '#069';
-        ctx.fillText('Hello, world!', 2, 15);
-        return canvas.toDataURL();
-      } catch (e) {
-        return null;
-      }
-    }
+    fingerprint = await page.evaluate(
+      options => window.fingerprintProbe.collect(options),
+      { fontCandidates: loadFontCandidates(), mediaProbes: loadMediaProbes() },
+    );
+    probeVersion = await page.evaluate(() => window.fingerprintProbe.version);
 
-    // Helper: Audio context fingerprint
-    function getAudioFingerprint() {
-      try {
-        const AudioContext = window.AudioContext || window.webkitAudioContext;
-        if (!AudioContext) return { supported: false };
-
-        const ctx = new AudioContext();
-        const oscillator = ctx.createOscillator();
-        const analyser = ctx.createAnalyser();
-        const gainNode = ctx.createGain();
-
-        oscillator.connect(analyser);
-        analyser.connect(gainNode);
-        gainNode.connect(ctx.destination);
-
-        return {
-          supported: true,
-          sampleRate: ctx.sampleRate,
-          state: ctx.state,
-          maxChannelCount: ctx.destination.maxChannelCount,
-        };
-      } catch (e) {
-        return { supported: false };
-      }
+    // Nothing here overrides navigator.webdriver; if the probe still sees an
+    // override, its automation signals describe the setup, not the browser.
+    if (fingerprint.automationSignals?.checks?.webdriverOverridden) {
+      throw new Error('navigator.webdriver was redefined before the probe ran');
     }
-
-    // Helper: Screen info
-    const screenInfo = {
-      width: screen.width,
-      height: screen.height,
-      availWidth: screen.availWidth,
-      availHeight: screen.availHeight,
-      colorDepth: screen.colorDepth,
-      pixelDepth: screen.pixelDepth,
-    };
-
-    // Helper: Plugins
-    const plugins = Array.from(navigator.plugins || []).map(p => ({
-      name: p.name,
-      description: p.description,
-      filename: p.filename,
-    }));
-
-    // Helper: MimeTypes
-    const mimeTypes = Array.from(navigator.mimeTypes || []).map(m => ({
-      type: m.type,
-      description: m.description,
-      suffixes: m.suffixes,
-    }));
-
-    // Main fingerprint object
-    return {
-      // Navigator
-      navigator: {
-        userAgent: navigator.userAgent,
-        appVersion: navigator.appVersion,
-        platform: navigator.platform,
-        vendor: navigator.vendor,
-        language: navigator.language,
-        languages: navigator.languages,
-        cookieEnabled: navigator.cookieEnabled,
-        doNotTrack: navigator.doNotTrack,
-        hardwareConcurrency: navigator.hardwareConcurrency,
-        deviceMemory: navigator.deviceMemory,
-        maxTouchPoints: navigator.maxTouchPoints,
-        product: navigator.product,
-        productSub: navigator.productSub,
-        webdriver: navigator.webdriver,
-      },
-
-      // Screen
-      screen: screenInfo,
-
-      // Timezone
-      timezone: {
-        offset: new Date().getTimezoneOffset(),
-        name: Intl.DateTimeFormat().resolvedOptions().timeZone,
-      },
-
-      // Graphics
-      webgl: getWebGLInfo(),
-      canvas: getCanvasFingerprint(),
-      audio: getAudioFingerprint(),
-
-      // Browser features
-      plugins: plugins.slice(0, 10), // Limit output
-      mimeTypes: mimeTypes.slice(0, 10),
-
-      // Feature detection
-      features: {
-        indexedDB: !!window.indexedDB,
-        localStorage: !!window.localStorage,
-        sessionStorage: !!window.sessionStorage,
-        webgl: !!document.createElement('canvas').getContext('webgl'),
-        webgl2: !!document.createElement('canvas').getContext('webgl2'),
-        serviceWorker: 'serviceWorker' in navigator,
-        notification: 'Notification' in window,
-        geolocation: 'geolocation' in navigator,
-      },
-    };
-  });
-
-  await browser.close();
+  } catch (error) {
+    console.error(`❌ Capture failed in ${browserName}: ${error.message}`);
+    return null;
+  } finally {
+    await browser.close();
+  }
 
   // Add browser name to fingerprint metadata
   fingerprint.browserName = browserName;
   fingerprint.capturedFrom = browserPath;
+  fingerprint.source = 'capture';
+  fingerprint.sourceMetadata = { probeVersion };
+
+  log('✅ Fingerprint captured!');
+  log(`  Platform: ${fingerprint.navigator.platform}`);
+  log(`  User Agent: ${fingerprint.navigator.userAgent}`);
+  log(`  GPU Vendor: ${fingerprint.webgl.vendor || 'N/A'}`);
+  log(`  GPU Renderer: ${fingerprint.webgl.renderer || 'N/A'}`);
+  log(`  Screen: ${fingerprint.screen.width}x${fingerprint.screen.height}`);
+  log(`  WebDriver: ${fingerprint.navigator.webdriver}`);
+  log(`  Hardware Cores: ${fingerprint.navigator.hardwareConcurrency}`);
+  log(`  Device Memory: ${fingerprint.navigator.deviceMemory || 'N/A'} GB`);
+  log(`  Fonts: ${fingerprint.fonts ? fingerprint.fonts.length : 'N/A'}`);
+  log(`  Speech Voices: ${fingerprint.media.voices ? fingerprint.media.voices.length : 'N/A'}`);
+  const signals = fingerprint.automationSignals?.detected || [];
+  log(`  Automation Signals: ${signals.length ? signals.join(', ') : 'none'}`);
+
+  return { schemaVersion: SCHEMA_VERSION, ...fingerprint };
+}
+
+function printUsage() {
+  console.log(`Usage: node capture-real-fingerprint.js [options]
+
+Captures a fingerprint from every discovered browser (or the selected ones).
+
+Options:
+      --browser <list>  Only capture these browsers (comma-separated, e.g. chrome,edge)
+      --headless        Launch browsers headless
+      --out <dir>       Directory to save fingerprints into (default: fingerprints)
+      --repeat <n>      Capture each browser n times and report values that changed between runs
+      --json-summary    Print a JSON summary to stdout (progress output moves to stderr)
+  -h, --help            Show this help message
+
+Exit code is 1 when no browser was captured or any capture failed.
+`);
+}
+
+function parseArgs(argv) {
+  const options = {};
+  // Flags that take a value must not swallow the next flag or run off the end.
+  const readValue = index => {
+    const value = argv[index + 1];
+    if (value === undefined || value.startsWith('--')) {
+      console.error(`Missing value for ${argv[index]}`);
+      printUsage();
+      process.exit(1);
+    }
+    return value;
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--browser':
+        options.browsers = readValue(i++);
+        break;
+      case '--headless':
+        options.headless = true;
+        break;
+      case '--out':
+        options.out = readValue(i++);
+        break;
+      case '--repeat':
+        options.repeat = readValue(i++);
+        break;
+      case '--json-summary':
+        options.jsonSummary = true;
+        break;
+      case '-h':
+      case '--help':
+        printUsage();
+        process.exit(0);
+        break;
+      default:
+        console.error(`Unknown argument: ${arg}`);
+        printUsage();
+        process.exit(1);
+    }
+  }
+  return options;
+}
 
-  console.log('✅ Fingerprint captured!');
-  console.log(`  Platform: ${fingerprint.navigator.platform}`);
-  console.log(`  User Agent: ${fingerprint.navigator.userAgent}`);
-  console.log(`  GPU Vendor: ${fingerprint.webgl.vendor || 'N/A'}`);
-  console.log(`  GPU Renderer: ${fingerprint.webgl.renderer || 'N/A'}`);
-  console.log(`  Screen: ${fingerprint.screen.width}x${fingerprint.screen.height}`);
-  console.log(`  WebDriver: ${fingerprint.navigator.webdriver}`);
-  console.log(`  Hardware Cores: ${fingerprint.navigator.hardwareConcurrency}`);
-  console.log(`  Device Memory: ${fingerprint.navigator.deviceMemory || 'N/A'} GB`);
-
-  return fingerprint;
+/**
+ * Leaf values of a fingerprint keyed by dotted path. Arrays are compared
+ * whole, since a reordered list is a change worth reporting.
+ */
+function flattenFingerprint(value, prefix = '', out = {}) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.entries(value).forEach(([key, child]) => {
+      flattenFingerprint(child, prefix ? `${prefix}.${key}` : key, out);
+    });
+  } else {
+    out[prefix] = JSON.stringify(value);
+  }
+  return out;
+}
+
+/**
+ * Paths whose values differ between repeated captures of the same browser.
+ */
+function findUnstablePaths(fingerprints) {
+  const flattened = fingerprints.map(fingerprint => flattenFingerprint(fingerprint));
+  const paths = new Set(flattened.flatMap(flat => Object.keys(flat)));
+  return [...paths]
+    .filter(key => flattened.some(flat => flat[key] !== flattened[0][key]))
+    .sort();
 }
 
 /**
  * Main execution
  */
-(async () => {
-  console.log('🚀 Real Browser Fingerprint Capture Tool');
-  console.log('=========================================\n');
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const repeat = args.repeat === undefined ? 1 : Number(args.repeat);
+  if (!Number.isInteger(repeat) || repeat < 1) {
+    console.error('❌ Invalid repeat count. Expected a positive integer.');
+    return 1;
+  }
+  const outDir = path.resolve(process.cwd(), args.out || FINGERPRINTS_DIR);
+
+  // Keep stdout clean for the JSON summary
+  const log = args.jsonSummary ? console.error : console.log;
+
+  log('🚀 Real Browser Fingerprint Capture Tool');
+  log('=========================================\n');
 
   // Discover all installed browsers
-  const browsers = discoverBrowsers();
+  const discovered = discoverBrowsers({ log });
+  let browsers = discovered;
+
+  if (args.browsers) {
+    const requested = args.browsers.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    const missing = requested.filter(name => !discovered[name]);
+    if (missing.length) {
+      console.error(`❌ Requested browsers not found: ${missing.join(', ')}`);
+      return 1;
+    }
+    browsers = Object.fromEntries(requested.map(name => [name, discovered[name]]));
+  }
 
   if (Object.keys(browsers).length === 0) {
-    console.log('\n❌ No browsers found. Please install Chrome, Firefox, or another supported browser.');
-    process.exit(1);
+    log('\n❌ No browsers found. Please install Chrome, Firefox, or another supported browser.');
+    return 1;
   }
 
-  // Create fingerprints directory if it doesn't exist
-  try {
-    await fs.mkdir(FINGERPRINTS_DIR, { recursive: true });
-  } catch (e) {
-    // Directory might already exist
-  }
+  // Create the output directory if it doesn't exist
+  await fs.mkdir(outDir, { recursive: true });
 
   // Load existing fingerprints for duplicate checking
-  const existingFiles = await fs.readdir(FINGERPRINTS_DIR);
+  const existingFiles = await fs.readdir(outDir);
   const existingFingerprints = [];
 
   for (const file of existingFiles) {
     if (file.endsWith('.json')) {
       try {
-        const content = await fs.readFile(path.join(FINGERPRINTS_DIR, file), 'utf8');
+        const content = await fs.readFile(path.join(outDir, file), 'utf8');
         existingFingerprints.push(JSON.parse(content));
       } catch (e) {
         // Skip invalid files
@@ -298,73 +349,169 @@ async function captureBrowserFingerprint(browserName, browserPath) {
 
   let capturedCount = 0;
   let duplicateCount = 0;
+  let failedCount = 0;
+  const runs = [];
+  const capturesByBrowser = {};
 
-  // Capture from each discovered browser
-  for (const [browserName, browserPath] of Object.entries(browsers)) {
-    const fingerprint = await captureBrowserFingerprint(browserName, browserPath);
-
-    if (!fingerprint) {
-      continue; // Browser failed to launch or capture
-    }
+  const probeServer = await startProbeServer();
+  log(`🧪 Serving probe page at ${probeServer.url}`);
 
-    // Generate a hash of the fingerprint for uniqueness checking
-    const fingerprintHash = crypto
-      .createHash('sha256')
-      .update(JSON.stringify({
-        userAgent: fingerprint.navigator.userAgent,
-        platform: fingerprint.navigator.platform,
-        gpuVendor: fingerprint.webgl.vendor,
-        gpuRenderer: fingerprint.webgl.renderer,
-        hardwareConcurrency: fingerprint.navigator.hardwareConcurrency,
-        deviceMemory: fingerprint.navigator.deviceMemory,
-        screen: fingerprint.screen,
-        browserName: browserName,
-      }))
-      .digest('hex')
-      .substring(0, 12);
-
-    // Check for duplicates by comparing key characteristics
-    let isDuplicate = false;
-    for (const existing of existingFingerprints) {
-      if (
-        existing.navigator?.userAgent === fingerprint.navigator.userAgent &&
-        existing.navigator?.platform === fingerprint.navigator.platform &&
-        existing.webgl?.vendor === fingerprint.webgl.vendor &&
-        existing.webgl?.renderer === fingerprint.webgl.renderer &&
-        existing.navigator?.hardwareConcurrency === fingerprint.navigator.hardwareConcurrency &&
-        existing.screen?.width === fingerprint.screen.width &&
-        existing.screen?.height === fingerprint.screen.height &&
-        existing.browserName === browserName
-      ) {
-        isDuplicate = true;
-        break;
+  try {
+    // Capture from each selected browser
+    for (const [browserName, browserPath] of Object.entries(browsers)) {
+      for (let run = 1; run <= repeat; run += 1) {
+        if (repeat > 1) {
+          log(`\n🔁 Run ${run}/${repeat} for ${browserName}`);
+        }
+        const record = { browser: browserName, run, status: null, file: null };
+        runs.push(record);
+
+        const fingerprint = await captureBrowserFingerprint(browserName, browserPath, {
+          probeUrl: probeServer.url,
+          headless: Boolean(args.headless),
+          log,
+        });
+
+        if (!fingerprint) {
+          record.status = 'failed';
+          failedCount++;
+          continue; // Browser failed to launch or capture
+        }
+        record.automationSignals = fingerprint.automationSignals?.detected || [];
+        (capturesByBrowser[browserName] = capturesByBrowser[browserName] || []).push(fingerprint);
+
+        // Generate a hash of the fingerprint for uniqueness checking
+        const fingerprintHash = crypto
+          .createHash('sha256')
+          .update(JSON.stringify({
+            userAgent: fingerprint.navigator.userAgent,
+            platform: fingerprint.navigator.platform,
+            gpuVendor: fingerprint.webgl.vendor,
+            gpuRenderer: fingerprint.webgl.renderer,
+            hardwareConcurrency: fingerprint.navigator.hardwareConcurrency,
+            deviceMemory: fingerprint.navigator.deviceMemory,
+            screen: fingerprint.screen,
+            browserName: browserName,
+          }))
+          .digest('hex')
+          .substring(0, 12);
+
+        // Check for duplicates by comparing key characteristics
+        let isDuplicate = false;
+        for (const existing of existingFingerprints) {
+          if (
+            existing.navigator?.userAgent === fingerprint.navigator.userAgent &&
+            existing.navigator?.platform === fingerprint.navigator.platform &&
+            existing.webgl?.vendor === fingerprint.webgl.vendor &&
+            existing.webgl?.renderer === fingerprint.webgl.renderer &&
+            existing.navigator?.hardwareConcurrency === fingerprint.navigator.hardwareConcurrency &&
+            existing.screen?.width === fingerprint.screen.width &&
+            existing.screen?.height === fingerprint.screen.height &&
+            existing.browserName === browserName
+          ) {
+            isDuplicate = true;
+            break;
+          }
+        }
+
+        if (isDuplicate) {
+          log(`⚠️  Duplicate fingerprint - skipping`);
+          record.status = 'duplicate';
+          duplicateCount++;
+          continue;
+        }
+
+        // Generate filename with browser name, timestamp and hash
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
+        const filename = `fingerprint-${browserName}-${timestamp}-${fingerprintHash}.json`;
+        const filepath = path.join(outDir, filename);
+
+        const schemaErrors = validateSchema(fingerprint);
+        if (schemaErrors.length) {
+          console.error(`❌ Captured fingerprint does not match schema v${SCHEMA_VERSION} - not saved`);
+          schemaErrors.slice(0, 5).forEach(error => console.error(`   ${error}`));
+          record.status = 'invalid';
+          record.errors = schemaErrors;
+          failedCount++;
+          continue;
+        }
+
+        // Save to the output directory
+        await fs.writeFile(filepath, JSON.stringify(fingerprint, null, 2));
+
+        log(`💾 Saved: ${filename}`);
+        record.status = 'saved';
+        record.file = filepath;
+        capturedCount++;
+        existingFingerprints.push(fingerprint);
       }
     }
+  } finally {
+    await probeServer.close();
+  }
 
-    if (isDuplicate) {
-      console.log(`⚠️  Duplicate fingerprint - skipping`);
-      duplicateCount++;
+  const stability = {};
+  if (repeat > 1) {
+    Object.entries(capturesByBrowser).forEach(([browserName, fingerprints]) => {
+      stability[browserName] = {
+        runs: fingerprints.length,
+        unstablePaths: fingerprints.length > 1 ? findUnstablePaths(fingerprints) : [],
+      };
+    });
+  }
+
+  log('\n' + '='.repeat(60));
+  log('📊 Capture Summary');
+  log('='.repeat(60));
+  log(`Browsers discovered: ${Object.keys(discovered).length}`);
+  log(`Browsers captured: ${Object.keys(browsers).join(', ')}`);
+  log(`New fingerprints captured: ${capturedCount}`);
+  log(`Duplicates skipped: ${duplicateCount}`);
+  log(`Failed captures: ${failedCount}`);
+  log(`Total fingerprints in collection: ${existingFingerprints.length}`);
+  Object.entries(stability).forEach(([browserName, { runs: runCount, unstablePaths }]) => {
+    if (!unstablePaths.length) {
+      log(`🔁 ${browserName}: stable across ${runCount} runs`);
     } else {
-      // Generate filename with browser name, timestamp and hash
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
-      const filename = `fingerprint-${browserName}-${timestamp}-${fingerprintHash}.json`;
-      const filepath = path.join(FINGERPRINTS_DIR, filename);
+      log(`🔁 ${browserName}: ${unstablePaths.length} value(s) changed across ${runCount} runs`);
+      unstablePaths.forEach(key => log(`   - ${key}`));
+    }
+  });
 
-      // Save to fingerprints directory
-      await fs.writeFile(filepath, JSON.stringify(fingerprint, null, 2));
+  const exitCode = failedCount > 0 || capturedCount + duplicateCount === 0 ? 1 : 0;
+  if (exitCode === 0) {
+    log('\n✅ Done! Use fingerprint-loader.js to load these fingerprints in your automation.');
+  } else {
+    log('\n❌ Some captures failed.');
+  }
 
-      console.log(`💾 Saved: ${filename}`);
-      capturedCount++;
-      existingFingerprints.push(fingerprint);
-    }
+  if (args.jsonSummary) {
+    console.log(JSON.stringify({
+      outDir,
+      browsersDiscovered: Object.keys(discovered),
+      browsersSelected: Object.keys(browsers),
+      headless: Boolean(args.headless),
+      repeat,
+      captured: capturedCount,
+      duplicates: duplicateCount,
+      failed: failedCount,
+      totalInCollection: existingFingerprints.length,
+      runs,
+      stability,
+      exitCode,
+    }, null, 2));
   }
 
-  console.log('\n' + '='.repeat(60));
-  console.log('📊 Capture Summary');
-  console.log('='.repeat(60));
-  console.log(`Browsers discovered: ${Object.keys(browsers).length}`);
-  console.log(`New fingerprints captured: ${capturedCount}`);
-  console.log(`Duplicates skipped: ${duplicateCount}`);
-  console.log(`Total fingerprints in collection: ${existingFingerprints.length}`);
-  console.log('\n✅ Done! Use fingerprint-loader.js to load these fingerprints in your automation.');
-})();
+  return exitCode;
+}
+
+if (require.main === module) {
+  main()
+    .then(code => {
+      process.exitCode = code;
+    })
+    .catch(error => {
+      console.error(`❌ Capture failed: ${error.message}`);
+      process.exitCode = 1;
+    });
+}
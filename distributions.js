@@ -0,0 +1,415 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+
+// distributions.js
+// Maintenance commands for the weighted CSVs in distribution_data/: lint them
+// against the keys the generator knows, rescale their weights, and diff two
+// distribution directories.
+
+const fs = require('fs/promises');
+const path = require('path');
+const {
+  parseWeightedCsv,
+  browserFileSegment,
+  BROWSER_OS_COMPATIBILITY,
+  DEFAULT_PLATFORMS,
+  OS_DETAIL_FILENAME_BY_CATEGORY,
+  CONDITIONAL_CSV_PATTERN,
+  DISTRIBUTION_DIR,
+} = require('./generate-fingerprint');
+
+const BROWSER_KEYS = Object.keys(BROWSER_OS_COMPATIBILITY);
+// Playwright's WebKit build has no released versions to weight.
+const UNVERSIONED_BROWSERS = new Set(['webkit']);
+const OS_KEYS = Object.keys(DEFAULT_PLATFORMS);
+const VERSION_LABEL = /^\d+([._]\d+)*$/;
+
+// Top-level tables: header key and the categories they may contain.
+const MARGINAL_TABLES = {
+  browser: { header: 'Web browser', describe: 'browser key', accepts: label => BROWSER_KEYS.includes(label) },
+  os: { header: 'Operating system', describe: 'OS key', accepts: label => OS_KEYS.includes(label) },
+  language: { header: 'Language', describe: 'language code', accepts: label => /^[a-z]{2,3}$/.test(label) },
+  timezone: { header: 'Timezone', describe: 'UTC±HH:MM label', accepts: label => /^UTC[+-]\d{2}:\d{2}$/.test(label) },
+};
+
+function printUsage() {
+  console.log(`Usage: node distributions.js <command> [options]
+
+Commands:
+  lint [dir]            Check every CSV: file names and header keys, unknown
+                        categories, duplicates, malformed lines and weights <= 0
+  normalize [dir]       Rescale each CSV so its weights sum to --total
+  diff <dirA> <dirB>    Compare two distribution directories
+
+[dir] defaults to distribution_data/.
+
+Options:
+      --total <n>       normalize: target sum (default: 100)
+      --dry-run         normalize: report changes without writing files
+      --threshold <pp>  diff: hide share changes below this many percentage points (default: 0.1)
+  -h, --help            Show this help message
+
+lint exits with code 1 when any error is found.
+`);
+}
+
+function parseArgs(argv) {
+  const options = { dirs: [], total: 100, threshold: 0.1 };
+  const readNumber = (index, isValid) => {
+    const value = Number(argv[index + 1]);
+    if (argv[index + 1] === undefined || argv[index + 1].trim() === '' || !isValid(value)) {
+      console.error(`Invalid value for ${argv[index]}: ${argv[index + 1] ?? '(missing)'}`);
+      printUsage();
+      process.exit(1);
+    }
+    return value;
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--total':
+        options.total = readNumber(i++, value => Number.isFinite(value) && value > 0);
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--threshold':
+        options.threshold = readNumber(i++, value => Number.isFinite(value) && value >= 0);
+        break;
+      case '-h':
+      case '--help':
+        printUsage();
+        process.exit(0);
+        break;
+      default:
+        if (arg.startsWith('-')) {
+          console.error(`Unknown argument: ${arg}`);
+          printUsage();
+          process.exit(1);
+        }
+        if (!options.command) {
+          options.command = arg;
+        } else {
+          options.dirs.push(path.resolve(process.cwd(), arg));
+        }
+    }
+  }
+  return options;
+}
+
+async function listFiles(dir, extension) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir);
+  } catch (error) {
+    throw new Error(`Cannot read distribution directory: ${dir}`);
+  }
+  return entries.filter(name => name.endsWith(extension)).sort();
+}
+
+function readHeaderKey(content) {
+  const header = content.replace(/^\ufeff/, '').split(/\r?\n/, 1)[0] || '';
+  const columns = header.split(',');
+  return columns.length >= 2 ? columns.slice(1).join(',').replace(/^"+|"+$/g, '').trim() : null;
+}
+
+function browserForSegment(segment) {
+  return BROWSER_KEYS.find(browserKey => browserFileSegment(browserKey) === segment) || null;
+}
+
+function osForSegment(segment) {
+  return OS_KEYS.find(osKey => OS_DETAIL_FILENAME_BY_CATEGORY[osKey] === `os_${segment}.csv`) || null;
+}
+
+/**
+ * Describe the table a CSV name stands for: its expected header key, which
+ * categories it accepts and, for version tables, the browser or OS it
+ * belongs to. Returns null for names the generator never reads.
+ */
+function describeTable(table) {
+  if (MARGINAL_TABLES[table]) return { ...MARGINAL_TABLES[table] };
+
+  const browserMatch = /^browser_(.+)$/.exec(table);
+  const browserKey = browserMatch ? browserForSegment(browserMatch[1]) : null;
+  if (browserKey) {
+    return { header: browserKey, describe: 'version number', accepts: label => VERSION_LABEL.test(label), browserKey };
+  }
+
+  const osMatch = /^os_(.+)$/.exec(table);
+  const osCategory = osMatch ? osForSegment(osMatch[1]) : null;
+  if (osCategory) {
+    // Linux details are distribution names rather than versions.
+    const accepts = osCategory === 'gnu/linux based' ? label => /^[a-z][\w .-]*$/i.test(label) : label => VERSION_LABEL.test(label);
+    return { header: osCategory, describe: 'version label', accepts, osCategory };
+  }
+  return null;
+}
+
+function lintEntries(filename, content, table, report) {
+  const parseIssues = [];
+  const entries = parseWeightedCsv(content, parseIssues);
+  parseIssues.forEach(issue => report('error', filename, issue.message, issue.line));
+
+  const headerKey = readHeaderKey(content);
+  if (headerKey !== table.header) {
+    report('error', filename, `Header key "${headerKey}" does not match the file name (expected "${table.header}").`, 1);
+  }
+  if (!entries.length) {
+    report('error', filename, 'No weighted rows; the generator will ignore this file.');
+    return entries;
+  }
+
+  const seen = new Set();
+  entries.forEach(entry => {
+    if (!table.accepts(entry.label)) {
+      report('error', filename, `Unknown category "${entry.label}" (expected a ${table.describe}).`);
+    }
+    if (seen.has(entry.key)) {
+      report('error', filename, `Duplicate category "${entry.label}"; its weights are counted twice.`);
+    }
+    seen.add(entry.key);
+    if (entry.weight < 0) {
+      report('error', filename, `Negative weight ${entry.weight} for "${entry.label}".`);
+    } else if (entry.weight === 0) {
+      report('warn', filename, `Zero weight for "${entry.label}"; it is never sampled.`);
+    }
+  });
+  return entries;
+}
+
+/**
+ * Check a conditional table's condition and, where it conditions a browser
+ * table on an OS (or the reverse), that the pair is in BROWSER_OS_COMPATIBILITY.
+ */
+function lintCondition(filename, table, kind, value, entries, report) {
+  const osCategory = kind === 'os' ? osForSegment(value) : table.osCategory;
+  const browserKey = kind === 'browser' ? browserForSegment(value) : table.browserKey;
+  if ((kind === 'os' && !osCategory) || (kind === 'browser' && !browserKey)) {
+    report('error', filename, `Unknown ${kind} "${value}" in the condition.`);
+    return;
+  }
+
+  if (osCategory && browserKey && !BROWSER_OS_COMPATIBILITY[browserKey].has(osCategory)) {
+    report('error', filename, `${browserKey} does not run on ${osCategory} (BROWSER_OS_COMPATIBILITY).`);
+  }
+  if (table.header === 'Web browser' && osCategory) {
+    entries
+      .filter(entry => BROWSER_KEYS.includes(entry.label) && !BROWSER_OS_COMPATIBILITY[entry.label].has(osCategory))
+      .forEach(entry => report('warn', filename, `"${entry.label}" cannot run on ${osCategory} and is never sampled.`));
+  }
+}
+
+/**
+ * Lint every CSV in `dir`. Returns [{ severity, file, line, message }].
+ */
+async function lintDistributions(dir = DISTRIBUTION_DIR) {
+  const issues = [];
+  const report = (severity, file, message, line = null) => issues.push({ severity, file, line, message });
+  const filenames = await listFiles(dir, '.csv');
+
+  for (const filename of filenames) {
+    const content = await fs.readFile(path.join(dir, filename), 'utf8');
+    const conditional = CONDITIONAL_CSV_PATTERN.exec(filename);
+    const tableName = conditional ? conditional[1] : filename.replace(/\.csv$/, '');
+    const table = describeTable(tableName);
+    if (!table) {
+      report('error', filename, 'File name does not match any table the generator reads; it is ignored.');
+      continue;
+    }
+    const entries = lintEntries(filename, content, table, report);
+    if (conditional) {
+      lintCondition(filename, table, conditional[2], conditional[3], entries, report);
+    }
+  }
+
+  const present = new Set(filenames);
+  BROWSER_KEYS.filter(browserKey => !UNVERSIONED_BROWSERS.has(browserKey)).forEach(browserKey => {
+    const filename = `browser_${browserFileSegment(browserKey)}.csv`;
+    if (!present.has(filename)) {
+      report('warn', filename, `Missing; ${browserKey} keeps the version in its user agent template.`);
+    }
+  });
+  Object.values(OS_DETAIL_FILENAME_BY_CATEGORY).forEach(filename => {
+    if (!present.has(filename)) report('warn', filename, 'Missing; OS versions are not sampled.');
+  });
+  Object.keys(MARGINAL_TABLES).forEach(table => {
+    if (!present.has(`${table}.csv`)) report('error', `${table}.csv`, 'Missing.');
+  });
+
+  return issues;
+}
+
+function formatWeight(value) {
+  return String(Number(value.toPrecision(15)));
+}
+
+/**
+ * Rescale every CSV in `dir` so its weights sum to `total`, keeping the
+ * header, row order and line endings. Files with malformed lines, negative
+ * weights or nothing to scale are skipped. Returns
+ * [{ file, sum, changed, skipped }].
+ */
+async function normalizeDistributions(dir = DISTRIBUTION_DIR, { total = 100, dryRun = false } = {}) {
+  if (!Number.isFinite(total) || total <= 0) {
+    throw new Error(`Invalid total "${total}". Expected a positive number.`);
+  }
+
+  const results = [];
+  for (const filename of await listFiles(dir, '.csv')) {
+    const filepath = path.join(dir, filename);
+    const content = await fs.readFile(filepath, 'utf8');
+    const parseIssues = [];
+    const entries = parseWeightedCsv(content, parseIssues);
+    const sum = entries.reduce((acc, entry) => acc + entry.weight, 0);
+    if (parseIssues.length || entries.some(entry => entry.weight < 0) || sum <= 0) {
+      results.push({ file: filename, sum, changed: false, skipped: 'malformed lines, negative weights or no weights (run lint)' });
+      continue;
+    }
+    if (Math.abs(sum - total) < 1e-9) {
+      results.push({ file: filename, sum, changed: false });
+      continue;
+    }
+
+    const newline = content.includes('\r\n') ? '\r\n' : '\n';
+    const [header] = content.split(/\r?\n/, 1);
+    const rows = entries.map(entry => `"${entry.label}",${formatWeight((entry.weight / sum) * total)}`);
+    const trailing = /\r?\n$/.test(content) ? newline : '';
+    if (!dryRun) {
+      await fs.writeFile(filepath, [header, ...rows].join(newline) + trailing);
+    }
+    results.push({ file: filename, sum, changed: true });
+  }
+  return results;
+}
+
+async function readShares(dir, filename) {
+  const entries = parseWeightedCsv(await fs.readFile(path.join(dir, filename), 'utf8'));
+  const sum = entries.reduce((acc, entry) => acc + Math.max(0, entry.weight), 0);
+  return new Map(entries.map(entry => [entry.label, sum > 0 ? (Math.max(0, entry.weight) / sum) * 100 : 0]));
+}
+
+async function sameJson(fileA, fileB) {
+  try {
+    const [a, b] = await Promise.all([fs.readFile(fileA, 'utf8'), fs.readFile(fileB, 'utf8')]);
+    return JSON.stringify(JSON.parse(a)) === JSON.stringify(JSON.parse(b));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Compare two distribution directories. CSVs are compared by each
+ * category's share of its table (percent), so rescaled files do not show up;
+ * JSON files are only reported as changed. Returns
+ * { onlyInA, onlyInB, changedJson, tables: [{ file, changes: [{ label, before, after }] }] }.
+ */
+async function diffDistributions(dirA, dirB, { threshold = 0.1 } = {}) {
+  const [filesA, filesB] = await Promise.all([
+    Promise.all([listFiles(dirA, '.csv'), listFiles(dirA, '.json')]).then(lists => lists.flat()),
+    Promise.all([listFiles(dirB, '.csv'), listFiles(dirB, '.json')]).then(lists => lists.flat()),
+  ]);
+  const setB = new Set(filesB);
+  const result = {
+    onlyInA: filesA.filter(file => !setB.has(file)),
+    onlyInB: filesB.filter(file => !filesA.includes(file)),
+    changedJson: [],
+    tables: [],
+  };
+
+  for (const file of filesA.filter(name => setB.has(name))) {
+    if (file.endsWith('.json')) {
+      if (!(await sameJson(path.join(dirA, file), path.join(dirB, file)))) result.changedJson.push(file);
+      continue;
+    }
+    const [sharesA, sharesB] = await Promise.all([readShares(dirA, file), readShares(dirB, file)]);
+    const labels = [...new Set([...sharesA.keys(), ...sharesB.keys()])];
+    const changes = labels
+      .map(label => ({ label, before: sharesA.get(label) ?? null, after: sharesB.get(label) ?? null }))
+      .filter(({ before, after }) => before === null || after === null
+        || (after !== before && Math.abs(after - before) >= threshold))
+      .sort((a, b) => Math.abs((b.after ?? 0) - (b.before ?? 0)) - Math.abs((a.after ?? 0) - (a.before ?? 0)));
+    if (changes.length) result.tables.push({ file, changes });
+  }
+  return result;
+}
+
+function formatShare(value) {
+  return value === null ? '—' : `${value.toFixed(2)}%`;
+}
+
+function printDiff(result, dirA, dirB) {
+  const nameA = path.relative(process.cwd(), dirA) || '.';
+  const nameB = path.relative(process.cwd(), dirB) || '.';
+  result.onlyInA.forEach(file => console.log(`➖ ${file} only in ${nameA}`));
+  result.onlyInB.forEach(file => console.log(`➕ ${file} only in ${nameB}`));
+  result.changedJson.forEach(file => console.log(`✏️  ${file} changed`));
+  result.tables.forEach(({ file, changes }) => {
+    console.log(`\n📄 ${file}`);
+    changes.forEach(({ label, before, after }) => {
+      let delta = '';
+      if (before === null) delta = ' (added)';
+      else if (after === null) delta = ' (removed)';
+      else delta = ` (${after >= before ? '+' : ''}${(after - before).toFixed(2)})`;
+      console.log(`   ${label}: ${formatShare(before)} -> ${formatShare(after)}${delta}`);
+    });
+  });
+  const total = result.onlyInA.length + result.onlyInB.length + result.changedJson.length + result.tables.length;
+  console.log(`\n📊 ${total ? `${total} file(s) differ` : 'No differences'}`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const dir = options.dirs[0] || DISTRIBUTION_DIR;
+
+  switch (options.command) {
+    case 'lint': {
+      const issues = await lintDistributions(dir);
+      issues.forEach(issue => {
+        const icon = issue.severity === 'error' ? '❌' : '⚠️ ';
+        const location = issue.line ? `${issue.file}:${issue.line}` : issue.file;
+        console.log(`${icon} ${location}: ${issue.message}`);
+      });
+      const errors = issues.filter(issue => issue.severity === 'error').length;
+      console.log(`\n📊 ${errors} error(s), ${issues.length - errors} warning(s)`);
+      if (errors > 0) process.exitCode = 1;
+      break;
+    }
+    case 'normalize': {
+      const results = await normalizeDistributions(dir, options);
+      results.forEach(result => {
+        if (result.skipped) {
+          console.error(`⚠️  Skipped ${result.file}: ${result.skipped}`);
+        } else if (result.changed) {
+          console.log(`✅ ${options.dryRun ? 'Would normalize' : 'Normalized'} ${result.file} (sum ${formatWeight(result.sum)} -> ${options.total})`);
+        }
+      });
+      const changed = results.filter(result => result.changed).length;
+      console.log(`\n📊 ${changed} normalized, ${results.length - changed} unchanged or skipped`);
+      break;
+    }
+    case 'diff': {
+      if (options.dirs.length !== 2) {
+        throw new Error('diff needs two directories.');
+      }
+      printDiff(await diffDistributions(options.dirs[0], options.dirs[1], options), options.dirs[0], options.dirs[1]);
+      break;
+    }
+    default:
+      if (options.command) console.error(`Unknown command: ${options.command}`);
+      printUsage();
+      process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  lintDistributions,
+  normalizeDistributions,
+  diffDistributions,
+};
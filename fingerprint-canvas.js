@@ -0,0 +1,238 @@
+// fingerprint-canvas.js
+// Synthetic canvas fingerprints: renders the probe's test drawing (an orange
+// rectangle and "Hello, world!" in 14px Arial, see getCanvasFingerprint in
+// probe/probe.js) into a real PNG data URL. Text is rasterized from stroked
+// glyph outlines; anti-aliasing, stem hinting, stroke weight and subpixel
+// offset vary deterministically with the OS/engine/GPU stack, so the same
+// stack always yields the same image and hash, like real canvases do.
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const CANVAS_WIDTH = 300;
+const CANVAS_HEIGHT = 150;
+const RECT = { x: 125, y: 1, width: 62, height: 20, color: [255, 102, 0] };
+const TEXT = { x: 2, y: 15, color: [0, 102, 153] };
+// textBaseline "top" puts the em box top at TEXT.y; Arial's ascent is ~0.9em.
+const BASELINE_OFFSET = 12.5;
+
+function ellipse(cx, cy, rx, ry, from = 0, to = 360, steps = 16) {
+  const points = [];
+  for (let i = 0; i <= steps; i += 1) {
+    const angle = ((from + ((to - from) * i) / steps) * Math.PI) / 180;
+    points.push([cx + rx * Math.cos(angle), cy - ry * Math.sin(angle)]);
+  }
+  return points;
+}
+
+/**
+ * Glyph outlines for the test string at 14px, as polylines relative to the
+ * pen position on the baseline (y grows downwards). Advances follow Arial.
+ */
+const GLYPHS = {
+  H: { advance: 10.1, strokes: [[[1.3, 0], [1.3, -10]], [[8.8, 0], [8.8, -10]], [[1.3, -5], [8.8, -5]]] },
+  e: { advance: 7.8, strokes: [[[0.9, -3.7], [6.9, -3.7]], ellipse(3.9, -3.65, 3, 3.6, 0, 320)] },
+  l: { advance: 3.1, strokes: [[[1.5, 0], [1.5, -10]]] },
+  o: { advance: 7.8, strokes: [ellipse(3.9, -3.65, 3, 3.6)] },
+  ',': { advance: 3.9, strokes: [[[1.9, -1], [1.3, 1.8]]] },
+  ' ': { advance: 3.9, strokes: [] },
+  w: { advance: 10.1, strokes: [[[0.3, -7.3], [2.6, 0], [5.05, -7.3], [7.5, 0], [9.8, -7.3]]] },
+  r: { advance: 4.7, strokes: [[[1.1, 0], [1.1, -7.3]], ellipse(4.3, -4.2, 3.2, 3, 180, 100, 6)] },
+  d: { advance: 7.8, strokes: [[[6.6, 0], [6.6, -10]], ellipse(3.5, -3.65, 3, 3.6, 0, 360)] },
+  '!': { advance: 3.9, strokes: [[[1.95, -10], [1.95, -2.8]], [[1.95, -0.9], [1.95, -0.1]]] },
+};
+
+const TEST_STRING = 'Hello, world!';
+
+function stackKey({ osCategory, engine, renderer }) {
+  return `${osCategory}|${engine}|${renderer || ''}`;
+}
+
+/**
+ * Rasterizer settings for a stack. Windows hints stems to whole pixels;
+ * the rest are small per-stack offsets derived from a hash of the stack key.
+ */
+function rasterParams(stack) {
+  const { osCategory, engine } = stack;
+  const digest = crypto.createHash('sha256').update(stackKey(stack)).digest();
+  return {
+    hinting: osCategory === 'windows',
+    subpixelOffset: (digest[0] % 4) / 8,
+    strokeWidth: 1.2 + (digest[1] % 6) * 0.05,
+    gamma: 1 + (digest[2] % 5) * 0.2,
+    samples: engine === 'gecko' ? 3 : 4,
+  };
+}
+
+function segmentDistance(px, py, [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+  const cx = ax + t * dx - px;
+  const cy = ay + t * dy - py;
+  return Math.sqrt(cx * cx + cy * cy);
+}
+
+function layoutSegments(params) {
+  const segments = [];
+  const baseline = TEXT.y + BASELINE_OFFSET;
+  let pen = TEXT.x + params.subpixelOffset;
+  for (const char of TEST_STRING) {
+    const glyph = GLYPHS[char];
+    glyph.strokes.forEach(stroke => {
+      const points = stroke.map(([x, y]) => {
+        let px = pen + x;
+        // Hinted vertical stems land on pixel centers.
+        if (params.hinting && stroke.every(([sx]) => sx === stroke[0][0])) px = Math.floor(px) + 0.5;
+        return [px, baseline + y];
+      });
+      for (let i = 1; i < points.length; i += 1) segments.push([points[i - 1], points[i]]);
+    });
+    pen += glyph.advance;
+  }
+  return segments;
+}
+
+function rasterizeText(pixels, params) {
+  const halfWidth = params.strokeWidth / 2;
+  const { samples } = params;
+  // Each segment's bounding box grown by the stroke half-width: a pixel
+  // outside it cannot be covered, so only the few overlapping segments get
+  // the distance test.
+  const segments = layoutSegments(params).map(([a, b]) => ({
+    a,
+    b,
+    minX: Math.min(a[0], b[0]) - halfWidth,
+    maxX: Math.max(a[0], b[0]) + halfWidth,
+    minY: Math.min(a[1], b[1]) - halfWidth,
+    maxY: Math.max(a[1], b[1]) + halfWidth,
+  }));
+  const minX = Math.max(0, Math.floor(Math.min(...segments.map(segment => segment.minX))));
+  const maxX = Math.min(CANVAS_WIDTH - 1, Math.ceil(Math.max(...segments.map(segment => segment.maxX))));
+  const minY = Math.max(0, Math.floor(Math.min(...segments.map(segment => segment.minY))));
+  const maxY = Math.min(CANVAS_HEIGHT - 1, Math.ceil(Math.max(...segments.map(segment => segment.maxY))));
+
+  for (let y = minY; y <= maxY; y += 1) {
+    const row = segments.filter(segment => segment.minY <= y + 1 && segment.maxY >= y);
+    for (let x = minX; x <= maxX; x += 1) {
+      const nearby = row.filter(segment => segment.minX <= x + 1 && segment.maxX >= x);
+      if (!nearby.length) continue;
+      let hits = 0;
+      for (let sy = 0; sy < samples; sy += 1) {
+        for (let sx = 0; sx < samples; sx += 1) {
+          const px = x + (sx + 0.5) / samples;
+          const py = y + (sy + 0.5) / samples;
+          if (nearby.some(({ a, b }) => segmentDistance(px, py, a, b) <= halfWidth)) hits += 1;
+        }
+      }
+      if (!hits) continue;
+      const alpha = Math.round(Math.pow(hits / (samples * samples), 1 / params.gamma) * 255);
+      const offset = (y * CANVAS_WIDTH + x) * 4;
+      pixels[offset] = TEXT.color[0];
+      pixels[offset + 1] = TEXT.color[1];
+      pixels[offset + 2] = TEXT.color[2];
+      pixels[offset + 3] = alpha;
+    }
+  }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function encodePng(pixels, width, height) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+  const rows = Buffer.alloc((width * 4 + 1) * height);
+  for (let y = 0; y < height; y += 1) {
+    rows[y * (width * 4 + 1)] = 0; // filter: none
+    pixels.copy(rows, y * (width * 4 + 1) + 1, y * width * 4, (y + 1) * width * 4);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(rows)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// The image depends only on the stack, so each stack is rendered once per
+// process. Hashes are kept by data URL for canvasHash().
+const renderedByStack = new Map();
+const hashByDataUrl = new Map();
+
+/**
+ * PNG data URL of the probe's test drawing as rendered by the given stack.
+ */
+function renderCanvasFingerprint(stack) {
+  const key = stackKey(stack);
+  if (!renderedByStack.has(key)) {
+    const dataUrl = drawCanvas(stack);
+    renderedByStack.set(key, dataUrl);
+    hashByDataUrl.set(dataUrl, crypto.createHash('sha256').update(dataUrl).digest('hex'));
+  }
+  return renderedByStack.get(key);
+}
+
+function drawCanvas(stack) {
+  const pixels = Buffer.alloc(CANVAS_WIDTH * CANVAS_HEIGHT * 4);
+  for (let y = RECT.y; y < RECT.y + RECT.height; y += 1) {
+    for (let x = RECT.x; x < RECT.x + RECT.width; x += 1) {
+      const offset = (y * CANVAS_WIDTH + x) * 4;
+      pixels[offset] = RECT.color[0];
+      pixels[offset + 1] = RECT.color[1];
+      pixels[offset + 2] = RECT.color[2];
+      pixels[offset + 3] = 255;
+    }
+  }
+  rasterizeText(pixels, rasterParams(stack));
+  return `data:image/png;base64,${encodePng(pixels, CANVAS_WIDTH, CANVAS_HEIGHT).toString('base64')}`;
+}
+
+/**
+ * True when a data URL carries a complete PNG (signature, IHDR and IEND).
+ */
+function isDecodablePng(dataUrl) {
+  const match = /^data:image\/png;base64,(.+)$/.exec(String(dataUrl || ''));
+  if (!match) return false;
+  const bytes = Buffer.from(match[1], 'base64');
+  return bytes.length > 33
+    && bytes.readUInt32BE(0) === 0x89504e47
+    && bytes.toString('ascii', 12, 16) === 'IHDR'
+    && bytes.toString('ascii', bytes.length - 8, bytes.length - 4) === 'IEND';
+}
+
+/**
+ * SHA-256 hex of the data URL text, matching the probe's canvasHash.
+ */
+function canvasHash(dataUrl) {
+  if (!dataUrl) return null;
+  return hashByDataUrl.get(dataUrl) || crypto.createHash('sha256').update(dataUrl).digest('hex');
+}
+
+module.exports = {
+  renderCanvasFingerprint,
+  isDecodablePng,
+  canvasHash,
+};
@@ -0,0 +1,136 @@
+// fingerprint-headers.js
+// HTTP request headers that match a fingerprint's JS-visible values, in the
+// order each engine sends them on a top-level navigation.
+
+const ACCEPT_DOCUMENT = {
+  blink:
+    'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
+  gecko: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  webkit: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+};
+
+// zstd is advertised from Chrome 123 and Firefox 126; Safari only sends br.
+const ZSTD_MIN_VERSION = { blink: 123, gecko: 126 };
+
+// Wire order per engine. Names missing from a profile are skipped.
+const HEADER_ORDER = {
+  blink: [
+    'sec-ch-ua',
+    'sec-ch-ua-mobile',
+    'sec-ch-ua-platform',
+    'Upgrade-Insecure-Requests',
+    'User-Agent',
+    'Accept',
+    'Sec-Fetch-Site',
+    'Sec-Fetch-Mode',
+    'Sec-Fetch-User',
+    'Sec-Fetch-Dest',
+    'Accept-Encoding',
+    'Accept-Language',
+  ],
+  gecko: [
+    'User-Agent',
+    'Accept',
+    'Accept-Language',
+    'Accept-Encoding',
+    'Upgrade-Insecure-Requests',
+    'Sec-Fetch-Dest',
+    'Sec-Fetch-Mode',
+    'Sec-Fetch-Site',
+    'Sec-Fetch-User',
+  ],
+  webkit: [
+    'Accept',
+    'Sec-Fetch-Site',
+    'Sec-Fetch-Dest',
+    'Accept-Language',
+    'Sec-Fetch-Mode',
+    'User-Agent',
+    'Accept-Encoding',
+  ],
+};
+
+function formatQuality(value) {
+  return value.toFixed(1).replace(/\.0$/, '');
+}
+
+/**
+ * Accept-Language value for a languages list. Chromium and WebKit step q down
+ * by 0.1 per entry (floor 0.1); Firefox spreads q evenly over the list.
+ */
+function buildAcceptLanguage(languages, engine) {
+  const list = (Array.isArray(languages) ? languages : []).filter(Boolean);
+  if (!list.length) return 'en-US,en;q=0.9';
+  return list
+    .map((language, index) => {
+      if (index === 0) return language;
+      const quality = engine === 'gecko'
+        ? Math.max(0.1, 1 - index / list.length)
+        : Math.max(0.1, 1 - index * 0.1);
+      return `${language};q=${formatQuality(quality)}`;
+    })
+    .join(',');
+}
+
+function browserMajorVersion(userAgent, engine) {
+  const pattern = engine === 'gecko' ? /Firefox\/(\d+)/ : /Chrome\/(\d+)/;
+  const match = pattern.exec(userAgent || '');
+  return match ? Number(match[1]) : null;
+}
+
+function buildAcceptEncoding(userAgent, engine) {
+  const minimum = ZSTD_MIN_VERSION[engine];
+  const major = browserMajorVersion(userAgent, engine);
+  if (minimum && major !== null && major >= minimum) return 'gzip, deflate, br, zstd';
+  return 'gzip, deflate, br';
+}
+
+function formatBrandList(brands) {
+  return brands.map(entry => `"${entry.brand}";v="${entry.version}"`).join(', ');
+}
+
+/**
+ * Build the request headers a browser presenting this fingerprint would send
+ * for a top-level navigation
+ * @param {Object} fingerprint - Captured or generated fingerprint
+ * @param {string} engine - 'blink', 'gecko' or 'webkit' (anything else is treated as blink)
+ * @returns {Object} Header name -> value, with keys in the engine's wire order
+ */
+function buildRequestHeaders(fingerprint, engine) {
+  const resolvedEngine = HEADER_ORDER[engine] ? engine : 'blink';
+  const navigatorData = fingerprint.navigator || {};
+  const userAgent = navigatorData.userAgent || '';
+
+  const values = {
+    'User-Agent': userAgent,
+    Accept: ACCEPT_DOCUMENT[resolvedEngine],
+    'Accept-Language': buildAcceptLanguage(navigatorData.languages, resolvedEngine),
+    'Accept-Encoding': buildAcceptEncoding(userAgent, resolvedEngine),
+    'Upgrade-Insecure-Requests': '1',
+    'Sec-Fetch-Site': 'none',
+    'Sec-Fetch-Mode': 'navigate',
+    'Sec-Fetch-User': '?1',
+    'Sec-Fetch-Dest': 'document',
+  };
+
+  const uaData = navigatorData.userAgentData;
+  if (resolvedEngine === 'blink' && uaData && Array.isArray(uaData.brands)) {
+    values['sec-ch-ua'] = formatBrandList(uaData.brands);
+    values['sec-ch-ua-mobile'] = uaData.mobile ? '?1' : '?0';
+    values['sec-ch-ua-platform'] = `"${uaData.platform}"`;
+  }
+
+  const headers = {};
+  HEADER_ORDER[resolvedEngine].forEach(name => {
+    if (values[name] !== undefined && values[name] !== '') {
+      headers[name] = values[name];
+    }
+  });
+  return headers;
+}
+
+module.exports = {
+  HEADER_ORDER,
+  buildAcceptLanguage,
+  buildRequestHeaders,
+};
@@ -3,10 +3,37 @@
 
 const fs = require('fs/promises');
 const path = require('path');
-const { generateFingerprint } = require('./generate-fingerprint');
+const { generateFingerprint, detectOsCategory } = require('./generate-fingerprint');
+const { browserEngine } = require('./fingerprint-validator');
+const { buildRequestHeaders } = require('./fingerprint-headers');
 
 const FINGERPRINTS_DIR = 'fingerprints';
 
+// Headers each engine sends with the same value on every request, so they can
+// go on the whole context. Accept, Accept-Encoding, Upgrade-Insecure-Requests
+// and Sec-Fetch-* differ per request or depend on what the running browser can
+// decode, and are left to the browser.
+const CONTEXT_HEADERS = {
+  blink: new Set(['sec-ch-ua', 'sec-ch-ua-mobile', 'sec-ch-ua-platform', 'User-Agent', 'Accept-Language']),
+  gecko: new Set(['User-Agent', 'Accept-Language']),
+  webkit: new Set(['User-Agent', 'Accept-Language']),
+};
+
+// Room the browser UI takes from the available screen area, per engine. On
+// desktop the window also stops short of the full available width.
+const BROWSER_CHROME_INSETS = {
+  desktop: {
+    blink: { width: 16, height: 87 },
+    gecko: { width: 16, height: 85 },
+    webkit: { width: 16, height: 80 },
+  },
+  mobile: {
+    blink: { width: 0, height: 56 },
+    gecko: { width: 0, height: 56 },
+    webkit: { width: 0, height: 83 },
+  },
+};
+
 /**
  * Load a fingerprint from the collection
  * @param {Object} options - Loading options
@@ -14,6 +41,9 @@ const FINGERPRINTS_DIR = 'fingerprints';
  * @param {string} options.filename - Required if mode is 'specific'
  * @param {string|number} options.seed - Optional seed for deterministic generation
  * @param {string} options.generatedMode - 'seeded' or 'pure' when mode is 'generated'
+ * @param {boolean} options.noCorpus - Generate from built-in pools only, ignoring captured fingerprints
+ * @param {string} options.timestamp - Optional generatedAt override for generation
+ * @param {Object} options.constraints - Optional { os, browser, minVersion, language, timezone } filters for generation
  * @returns {Promise<Object>} The loaded fingerprint object
  */
 async function loadFingerprint(options = {}) {
@@ -24,6 +54,9 @@ async function loadFingerprint(options = {}) {
     const synthetic = await generateFingerprint({
       seed: options.seed,
       mode: options.generatedMode || 'pure',
+      constraints: options.constraints,
+      timestamp: options.timestamp,
+      noCorpus: options.noCorpus,
     });
     console.log(`🧪 Generated fingerprint (mode: ${mode}/${options.generatedMode || 'pure'})`);
     console.log(`   Browser: ${synthetic.browserName || 'N/A'}`);
@@ -105,10 +138,391 @@ async function getFingerprintCount() {
   return files.length;
 }
 
+const MOBILE_PLATFORM_PATTERN = /android|iphone|ipad|mobile/i;
+
+/**
+ * Map a timezone record to an IANA id Playwright accepts. Offset-only labels
+ * such as "UTC+01:00" fall back to the Etc/GMT zones (whose sign is inverted);
+ * half-hour offsets have no Etc/GMT zone and yield null.
+ */
+function resolveTimezoneId(timezone) {
+  if (!timezone) return null;
+  if (timezone.name && timezone.name.includes('/')) return timezone.name;
+  if (timezone.name === 'UTC') return 'UTC';
+  if (!Number.isFinite(timezone.offset) || timezone.offset % 60 !== 0) return null;
+  const hours = timezone.offset / 60;
+  if (hours === 0) return 'Etc/GMT';
+  return `Etc/GMT${hours > 0 ? '+' : '-'}${Math.abs(hours)}`;
+}
+
+function fingerprintEngine(fingerprint) {
+  const browserKey = (fingerprint.browserName || '').trim().toLowerCase();
+  return browserEngine(browserKey, detectOsCategory(fingerprint));
+}
+
+function isMobileFingerprint(fingerprint) {
+  const navigatorData = fingerprint.navigator || {};
+  return MOBILE_PLATFORM_PATTERN.test(navigatorData.userAgent || '')
+    || MOBILE_PLATFORM_PATTERN.test(navigatorData.platform || '')
+    || fingerprint.browserName === 'mobile safari';
+}
+
+/**
+ * Build the browser.newContext() options that match a fingerprint
+ * @param {Object} fingerprint - Captured or generated fingerprint
+ * @param {Object} options - Build options
+ * @param {string} options.browserType - Playwright browser type name ('chromium', 'firefox', 'webkit')
+ * @returns {Object} Options for browser.newContext()
+ */
+function buildContextOptions(fingerprint, options = {}) {
+  const navigatorData = fingerprint.navigator || {};
+  const screenData = fingerprint.screen || {};
+  const mobile = isMobileFingerprint(fingerprint);
+  const contextOptions = {};
+
+  if (navigatorData.userAgent) contextOptions.userAgent = navigatorData.userAgent;
+  if (navigatorData.language) contextOptions.locale = navigatorData.language;
+
+  const timezoneId = resolveTimezoneId(fingerprint.timezone);
+  if (timezoneId) contextOptions.timezoneId = timezoneId;
+
+  if (Number.isFinite(screenData.width) && Number.isFinite(screenData.height)) {
+    contextOptions.screen = { width: screenData.width, height: screenData.height };
+    // A page filling the whole available area is a headless tell.
+    const insets = BROWSER_CHROME_INSETS[mobile ? 'mobile' : 'desktop'];
+    const inset = insets[fingerprintEngine(fingerprint)] || insets.blink;
+    contextOptions.viewport = {
+      width: Math.max(1, (screenData.availWidth || screenData.width) - inset.width),
+      height: Math.max(1, (screenData.availHeight || screenData.height) - inset.height),
+    };
+  }
+
+  contextOptions.deviceScaleFactor = screenData.devicePixelRatio || (mobile ? 3 : 1);
+  contextOptions.hasTouch = (navigatorData.maxTouchPoints || 0) > 0;
+
+  // Firefox rejects the isMobile option outright.
+  if (options.browserType !== 'firefox') {
+    contextOptions.isMobile = mobile;
+  }
+
+  return contextOptions;
+}
+
+function buildInitScriptPayload(fingerprint) {
+  return {
+    navigator: fingerprint.navigator || {},
+    screen: fingerprint.screen || {},
+    webgl: fingerprint.webgl || null,
+    audio: fingerprint.audio || null,
+    plugins: Array.isArray(fingerprint.plugins) ? fingerprint.plugins : null,
+    mimeTypes: Array.isArray(fingerprint.mimeTypes) ? fingerprint.mimeTypes : null,
+  };
+}
+
+/**
+ * Runs inside the page before any site script. Must stay self-contained:
+ * Playwright serializes it and it cannot reach module scope.
+ */
+function installFingerprintOverrides(payload) {
+  const defineGetter = (target, key, value) => {
+    if (!target) return;
+    try {
+      Object.defineProperty(target, key, { get: () => value, configurable: true, enumerable: true });
+    } catch (e) {
+      // Some engines lock down individual properties.
+    }
+  };
+
+  const NAVIGATOR_KEYS = [
+    'userAgent',
+    'appVersion',
+    'platform',
+    'vendor',
+    'language',
+    'cookieEnabled',
+    'doNotTrack',
+    'hardwareConcurrency',
+    'maxTouchPoints',
+    'product',
+    'productSub',
+  ];
+  const navigatorProto = Object.getPrototypeOf(navigator);
+  NAVIGATOR_KEYS.forEach(key => {
+    if (payload.navigator[key] !== undefined) {
+      defineGetter(navigatorProto, key, payload.navigator[key]);
+    }
+  });
+  // Automation sets webdriver; whatever the fingerprint recorded, present a
+  // regular browser.
+  defineGetter(navigatorProto, 'webdriver', false);
+  if (Array.isArray(payload.navigator.languages)) {
+    defineGetter(navigatorProto, 'languages', Object.freeze([...payload.navigator.languages]));
+  }
+  if (payload.navigator.deviceMemory === null || payload.navigator.deviceMemory === undefined) {
+    // Firefox and Safari do not expose deviceMemory at all.
+    try {
+      delete navigatorProto.deviceMemory;
+    } catch (e) {
+      // Ignore non-configurable properties.
+    }
+  } else {
+    defineGetter(navigatorProto, 'deviceMemory', payload.navigator.deviceMemory);
+  }
+
+  const uaData = payload.navigator.userAgentData;
+  if (uaData === null && 'userAgentData' in navigator) {
+    // Gecko and WebKit fingerprints must not expose client hints.
+    try {
+      delete navigatorProto.userAgentData;
+    } catch (e) {
+      // Ignore non-configurable properties.
+    }
+  } else if (uaData && window.NavigatorUAData) {
+    const lowEntropy = {
+      brands: uaData.brands.map(entry => Object.freeze({ ...entry })),
+      mobile: uaData.mobile,
+      platform: uaData.platform,
+    };
+    const highEntropy = uaData.highEntropy || {};
+    const fake = Object.create(window.NavigatorUAData.prototype);
+    Object.defineProperties(fake, {
+      brands: { get: () => lowEntropy.brands, enumerable: true },
+      mobile: { get: () => lowEntropy.mobile, enumerable: true },
+      platform: { get: () => lowEntropy.platform, enumerable: true },
+      getHighEntropyValues: {
+        value: hints => {
+          const result = { ...lowEntropy };
+          (Array.isArray(hints) ? hints : []).forEach(hint => {
+            if (highEntropy[hint] !== undefined) result[hint] = highEntropy[hint];
+          });
+          return Promise.resolve(result);
+        },
+      },
+      toJSON: { value: () => ({ ...lowEntropy }) },
+    });
+    defineGetter(navigatorProto, 'userAgentData', fake);
+  }
+
+  const SCREEN_KEYS = ['width', 'height', 'availWidth', 'availHeight', 'colorDepth', 'pixelDepth'];
+  const screenProto = Object.getPrototypeOf(screen);
+  SCREEN_KEYS.forEach(key => {
+    if (Number.isFinite(payload.screen[key])) {
+      defineGetter(screenProto, key, payload.screen[key]);
+    }
+  });
+  if (Number.isFinite(payload.screen.devicePixelRatio)) {
+    defineGetter(window, 'devicePixelRatio', payload.screen.devicePixelRatio);
+  }
+
+  if (payload.webgl && payload.webgl.supported !== false) {
+    const UNMASKED_VENDOR_WEBGL = 0x9245;
+    const UNMASKED_RENDERER_WEBGL = 0x9246;
+    const overridesFor = isWebGL2 => {
+      const values = {
+        [UNMASKED_VENDOR_WEBGL]: payload.webgl.vendor,
+        [UNMASKED_RENDERER_WEBGL]: payload.webgl.renderer,
+        0x1f00: payload.webgl.glVendor,
+        0x1f01: payload.webgl.glRenderer,
+      };
+      // The captured version strings come from a WebGL1 context.
+      if (!isWebGL2) {
+        values[0x1f02] = payload.webgl.version;
+        values[0x8b8c] = payload.webgl.shadingLanguageVersion;
+      }
+      return values;
+    };
+    // Limits are keyed by constant name; arrays come back as fresh typed arrays.
+    const limitsFor = Ctor => {
+      const limits = {};
+      Object.entries(payload.webgl.parameters || {}).forEach(([name, value]) => {
+        const constant = name === 'MAX_TEXTURE_MAX_ANISOTROPY_EXT' ? 0x84ff : Ctor.prototype[name];
+        if (constant === undefined || value === null || value === undefined) return;
+        if (!Array.isArray(value)) {
+          limits[constant] = () => value;
+        } else if (name === 'MAX_VIEWPORT_DIMS') {
+          limits[constant] = () => new Int32Array(value);
+        } else {
+          limits[constant] = () => new Float32Array(value);
+        }
+      });
+      return limits;
+    };
+    const patchContext = (Ctor, isWebGL2) => {
+      if (!Ctor) return;
+      const proto = Ctor.prototype;
+      const originalGetParameter = proto.getParameter;
+      const values = overridesFor(isWebGL2);
+      const limits = limitsFor(Ctor);
+      proto.getParameter = function getParameter(parameter) {
+        if (values[parameter] !== undefined && values[parameter] !== null) {
+          return values[parameter];
+        }
+        if (limits[parameter]) return limits[parameter]();
+        return originalGetParameter.call(this, parameter);
+      };
+
+      const extensions = isWebGL2 ? payload.webgl.webgl2Extensions : payload.webgl.extensions;
+      if (Array.isArray(extensions)) {
+        const originalGetExtension = proto.getExtension;
+        proto.getSupportedExtensions = function getSupportedExtensions() {
+          return [...extensions];
+        };
+        proto.getExtension = function getExtension(name) {
+          return extensions.includes(name) ? originalGetExtension.call(this, name) : null;
+        };
+      }
+
+      const precision = payload.webgl.shaderPrecision;
+      if (precision && window.WebGLShaderPrecisionFormat) {
+        const originalGetPrecision = proto.getShaderPrecisionFormat;
+        const shaderNames = { [proto.VERTEX_SHADER]: 'VERTEX_SHADER', [proto.FRAGMENT_SHADER]: 'FRAGMENT_SHADER' };
+        const typeNames = {};
+        ['LOW_FLOAT', 'MEDIUM_FLOAT', 'HIGH_FLOAT', 'LOW_INT', 'MEDIUM_INT', 'HIGH_INT'].forEach(name => {
+          typeNames[proto[name]] = name;
+        });
+        proto.getShaderPrecisionFormat = function getShaderPrecisionFormat(shaderType, precisionType) {
+          const format = precision[shaderNames[shaderType]]?.[typeNames[precisionType]];
+          if (!format) return originalGetPrecision.call(this, shaderType, precisionType);
+          const result = Object.create(window.WebGLShaderPrecisionFormat.prototype);
+          Object.defineProperties(result, {
+            rangeMin: { value: format.rangeMin },
+            rangeMax: { value: format.rangeMax },
+            precision: { value: format.precision },
+          });
+          return result;
+        };
+      }
+    };
+    patchContext(window.WebGLRenderingContext, false);
+    patchContext(window.WebGL2RenderingContext, true);
+  }
+
+  const buildArray = (Proto, items, keyOf) => {
+    const array = Object.create(Proto ? Proto.prototype : Object.prototype);
+    items.forEach((item, index) => {
+      Object.defineProperty(array, index, { value: item, enumerable: true });
+      if (keyOf(item)) Object.defineProperty(array, keyOf(item), { value: item });
+    });
+    Object.defineProperty(array, 'length', { value: items.length });
+    Object.defineProperty(array, 'item', { value: index => items[index] || null });
+    Object.defineProperty(array, 'namedItem', { value: name => items.find(item => keyOf(item) === name) || null });
+    Object.defineProperty(array, Symbol.iterator, { value: function* iterate() { yield* items; } });
+    return array;
+  };
+
+  if (payload.plugins) {
+    const plugins = payload.plugins.map(plugin => {
+      const entry = Object.create(window.Plugin ? window.Plugin.prototype : Object.prototype);
+      Object.defineProperties(entry, {
+        name: { value: plugin.name || '' },
+        description: { value: plugin.description || '' },
+        filename: { value: plugin.filename || '' },
+        length: { value: 0 },
+      });
+      return entry;
+    });
+    defineGetter(navigatorProto, 'plugins', buildArray(window.PluginArray, plugins, item => item.name));
+  }
+
+  if (payload.mimeTypes) {
+    const mimeTypes = payload.mimeTypes.map(mimeType => {
+      const entry = Object.create(window.MimeType ? window.MimeType.prototype : Object.prototype);
+      Object.defineProperties(entry, {
+        type: { value: mimeType.type || '' },
+        description: { value: mimeType.description || '' },
+        suffixes: { value: mimeType.suffixes || '' },
+      });
+      return entry;
+    });
+    defineGetter(navigatorProto, 'mimeTypes', buildArray(window.MimeTypeArray, mimeTypes, item => item.type));
+  }
+
+  // Only the hardware-derived audio values are pinned; `state` reflects the
+  // page's autoplay policy and overriding it would break real playback.
+  if (payload.audio && payload.audio.supported !== false) {
+    const BaseContext = window.BaseAudioContext || window.AudioContext || window.webkitAudioContext;
+    if (BaseContext && Number.isFinite(payload.audio.sampleRate)) {
+      defineGetter(BaseContext.prototype, 'sampleRate', payload.audio.sampleRate);
+    }
+    if (window.AudioDestinationNode && Number.isFinite(payload.audio.maxChannelCount)) {
+      defineGetter(window.AudioDestinationNode.prototype, 'maxChannelCount', payload.audio.maxChannelCount);
+    }
+  }
+}
+
+/**
+ * HTTP request headers matching a fingerprint, for fetch/undici clients
+ *
+ * Generated fingerprints carry a `headers` section; for captured files the
+ * headers are derived from navigator and userAgentData. Keys are in the
+ * browser's wire order, so pass the object straight to fetch/undici.
+ * @param {Object} fingerprint - Captured or generated fingerprint
+ * @param {Object} overrides - Extra headers appended after the profile (e.g. Cookie)
+ * @returns {Object} Header name -> value
+ */
+function getRequestHeaders(fingerprint, overrides = {}) {
+  if (!fingerprint) {
+    throw new Error('getRequestHeaders requires a fingerprint');
+  }
+  const headers = fingerprint.headers || buildRequestHeaders(fingerprint, fingerprintEngine(fingerprint));
+  return { ...headers, ...overrides };
+}
+
+/**
+ * Headers to send on every request of a context: User-Agent and
+ * Accept-Language, plus the low-entropy sec-ch-ua* client hints for
+ * Chromium-based fingerprints only
+ */
+function buildExtraHeaders(fingerprint) {
+  const allowed = CONTEXT_HEADERS[fingerprintEngine(fingerprint)] || CONTEXT_HEADERS.blink;
+  const headers = {};
+  Object.entries(getRequestHeaders(fingerprint)).forEach(([name, value]) => {
+    if (allowed.has(name)) headers[name] = value;
+  });
+  return headers;
+}
+
+/**
+ * Make a Playwright browser context present a fingerprint
+ *
+ * Pass a Browser to get a new context created with the matching options
+ * (userAgent, locale, timezoneId, viewport/screen, deviceScaleFactor,
+ * isMobile, hasTouch). Pass an existing BrowserContext to only install the
+ * init script and the HTTP header profile, since context options are fixed
+ * once a context exists.
+ * @param {Object} target - Playwright Browser or BrowserContext
+ * @param {Object} fingerprint - Captured or generated fingerprint
+ * @param {Object} contextOptions - Extra options merged into browser.newContext()
+ * @returns {Promise<Object>} The BrowserContext presenting the fingerprint
+ */
+async function applyFingerprint(target, fingerprint, contextOptions = {}) {
+  if (!target || !fingerprint) {
+    throw new Error('applyFingerprint requires a Playwright browser or context and a fingerprint');
+  }
+
+  let context = target;
+  if (typeof target.newContext === 'function') {
+    const browserType = typeof target.browserType === 'function' ? target.browserType().name() : undefined;
+    context = await target.newContext({
+      ...buildContextOptions(fingerprint, { browserType }),
+      extraHTTPHeaders: buildExtraHeaders(fingerprint),
+      ...contextOptions,
+    });
+  } else {
+    await context.setExtraHTTPHeaders(buildExtraHeaders(fingerprint));
+  }
+
+  await context.addInitScript(installFingerprintOverrides, buildInitScriptPayload(fingerprint));
+  return context;
+}
+
 module.exports = {
   loadFingerprint,
   listFingerprints,
   getFingerprintCount,
   generateFingerprint,
+  applyFingerprint,
+  buildContextOptions,
+  getRequestHeaders,
   FINGERPRINTS_DIR,
 };
@@ -0,0 +1,163 @@
+// fingerprint-schema.js
+// Versioned fingerprint format: schema validation and migrations of older files.
+// Bump SCHEMA_VERSION and add a MIGRATIONS entry whenever a change requires
+// existing files to be rewritten; new optional fields only need a schema entry.
+
+const FINGERPRINT_SCHEMA = require('./fingerprint.schema.json');
+
+const SCHEMA_VERSION = FINGERPRINT_SCHEMA.properties.schemaVersion.const;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, expected) {
+  const actual = typeOf(value);
+  if (expected === 'number') return actual === 'number' || actual === 'integer';
+  return actual === expected;
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used by
+ * fingerprint.schema.json (type, required, properties, items, enum, const,
+ * minimum, maximum). Returns a list of "path: problem" strings.
+ */
+function validateAgainstSchema(value, schema, pathLabel = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${pathLabel}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${pathLabel}: expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${pathLabel}: expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${pathLabel}: ${value} is below the minimum ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${pathLabel}: ${value} is above the maximum ${schema.maximum}`);
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${pathLabel}.${key}: is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] === undefined) return;
+      errors.push(...validateAgainstSchema(value[key], propertySchema, `${pathLabel}.${key}`));
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${pathLabel}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a fingerprint against the current schema
+ * @param {Object} fingerprint - Fingerprint to check
+ * @returns {Array<string>} Schema violations (empty when valid)
+ */
+function validateSchema(fingerprint) {
+  return validateAgainstSchema(fingerprint, FINGERPRINT_SCHEMA);
+}
+
+/**
+ * Throw when a fingerprint does not match the current schema. Used by every
+ * writer before a file is saved.
+ */
+function assertValidSchema(fingerprint, label = 'Fingerprint') {
+  const errors = validateSchema(fingerprint);
+  if (errors.length) {
+    const shown = errors.slice(0, 5).join('; ');
+    const more = errors.length > 5 ? ` (+${errors.length - 5} more)` : '';
+    throw new Error(`${label} does not match schema v${SCHEMA_VERSION}: ${shown}${more}`);
+  }
+}
+
+function detectSource(fingerprint) {
+  if (fingerprint.synthetic || fingerprint.capturedFrom === 'fingerprint-generator') return 'synthetic';
+  if (fingerprint.capturedFrom === 'amiunique.org') return 'amiunique';
+  return 'capture';
+}
+
+/**
+ * Migrations keyed by the version they upgrade from. Each one mutates the
+ * fingerprint in place and must leave it at the next version.
+ */
+const MIGRATIONS = {
+  // Files written before schemaVersion existed.
+  0(fingerprint) {
+    fingerprint.source = fingerprint.source || detectSource(fingerprint);
+    fingerprint.capturedFrom = fingerprint.capturedFrom ?? null;
+    fingerprint.browserName = fingerprint.browserName || 'unknown';
+    fingerprint.canvas = fingerprint.canvas ?? null;
+    fingerprint.plugins = Array.isArray(fingerprint.plugins) ? fingerprint.plugins : [];
+    fingerprint.mimeTypes = Array.isArray(fingerprint.mimeTypes) ? fingerprint.mimeTypes : [];
+    ['navigator', 'screen', 'timezone', 'features'].forEach(key => {
+      fingerprint[key] = fingerprint[key] || {};
+    });
+    fingerprint.navigator.languages = Array.isArray(fingerprint.navigator.languages)
+      ? fingerprint.navigator.languages
+      : [];
+    fingerprint.webgl = fingerprint.webgl || { supported: false };
+    fingerprint.audio = fingerprint.audio || { supported: false };
+  },
+};
+
+/**
+ * Upgrade a fingerprint to SCHEMA_VERSION
+ * @param {Object} fingerprint - Parsed fingerprint (not modified)
+ * @returns {{ fingerprint: Object, from: number, to: number, changed: boolean }}
+ */
+function migrateFingerprint(fingerprint) {
+  const from = Number.isInteger(fingerprint.schemaVersion) ? fingerprint.schemaVersion : 0;
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Schema version ${from} is newer than the supported version ${SCHEMA_VERSION}`);
+  }
+
+  const migrated = JSON.parse(JSON.stringify(fingerprint));
+  for (let version = from; version < SCHEMA_VERSION; version += 1) {
+    const migration = MIGRATIONS[version];
+    if (!migration) {
+      throw new Error(`No migration from schema version ${version}`);
+    }
+    migration(migrated);
+  }
+
+  // Keep schemaVersion as the first key so it is visible at the top of the file.
+  delete migrated.schemaVersion;
+  return {
+    fingerprint: { schemaVersion: SCHEMA_VERSION, ...migrated },
+    from,
+    to: SCHEMA_VERSION,
+    changed: from !== SCHEMA_VERSION,
+  };
+}
+
+module.exports = {
+  FINGERPRINT_SCHEMA,
+  SCHEMA_VERSION,
+  validateSchema,
+  assertValidSchema,
+  migrateFingerprint,
+};
@@ -0,0 +1,512 @@
+// fingerprint-validator.js
+// Named consistency rules shared by the generator and the validate-fingerprints.js CLI
+
+const SEVERITIES = ['error', 'warn', 'info'];
+
+const MOBILE_OS = new Set(['android', 'ios']);
+
+const CHROMIUM_BROWSERS = new Set(['chrome', 'edge', 'brave', 'opera', 'samsung browser', 'gsa']);
+
+const UA_DATA_PLATFORMS = {
+  windows: 'Windows',
+  'mac os': 'macOS',
+  'gnu/linux based': 'Linux',
+  android: 'Android',
+};
+
+// Fonts that ship only with one OS family; seeing them elsewhere is a tell.
+const OS_MARKER_FONTS = {
+  windows: ['Segoe MDL2 Assets', 'Segoe UI Symbol', 'Marlett', 'MS UI Gothic', 'Microsoft Sans Serif'],
+  apple: ['Apple Color Emoji', 'Geneva', 'Lucida Grande', 'Menlo', 'Helvetica Neue', 'SF Pro'],
+  android: ['Roboto', 'Droid Sans Mono', 'Carrois Gothic SC'],
+};
+
+const OS_FONT_FAMILY = {
+  windows: 'windows',
+  'mac os': 'apple',
+  ios: 'apple',
+  android: 'android',
+};
+
+const UTC_LABEL_PATTERN = /^UTC([+-])(\d{2}):(\d{2})$/;
+
+/**
+ * Rendering engine for a browser/OS pair. Every browser on iOS is WebKit.
+ */
+function browserEngine(browserKey, osCategory) {
+  if (osCategory === 'ios') return 'webkit';
+  if (browserKey === 'firefox') return 'gecko';
+  if (CHROMIUM_BROWSERS.has(browserKey)) return 'blink';
+  if (browserKey === 'safari' || browserKey === 'mobile safari' || browserKey === 'webkit') return 'webkit';
+  return 'unknown';
+}
+
+/**
+ * Offset in getTimezoneOffset() convention (minutes, positive west of UTC)
+ * for an IANA zone at a given instant. Returns null for unknown zones.
+ */
+function timezoneOffsetAt(timeZone, date) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }).formatToParts(date);
+  } catch (error) {
+    return null;
+  }
+  const values = {};
+  parts.forEach(part => {
+    values[part.type] = Number(part.value);
+  });
+  const wallClock = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((instant - wallClock) / 60000);
+}
+
+function utcLabelToOffset(label) {
+  const match = UTC_LABEL_PATTERN.exec(label || '');
+  if (!match) return null;
+  const sign = match[1] === '-' ? 1 : -1;
+  return sign * (parseInt(match[2], 10) * 60 + parseInt(match[3], 10));
+}
+
+function referenceDate(fingerprint) {
+  const date = new Date(fingerprint.generatedAt || fingerprint.capturedAt || Date.now());
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+}
+
+function hasMobileUserAgent(userAgent) {
+  return /iphone|ipad|android|mobile/i.test(userAgent || '');
+}
+
+/**
+ * Each rule inspects one aspect of a fingerprint. `check` returns a message
+ * when the rule is violated (or null); `fix`, when present, repairs the
+ * fingerprint in place.
+ */
+const RULES = [
+  {
+    id: 'browser-os-compatibility',
+    severity: 'error',
+    description: 'Browser must be available on the detected OS (e.g. no Safari on Windows).',
+    check(fp, { osCategory, browserKey, compatibility }) {
+      const allowed = compatibility && compatibility[browserKey];
+      if (!allowed || allowed.has(osCategory)) return null;
+      return `${browserKey} does not exist on ${osCategory}.`;
+    },
+  },
+  {
+    id: 'ios-user-agent',
+    severity: 'error',
+    description: 'iOS fingerprints must mention iPhone or iPad in the userAgent.',
+    check(fp, { osCategory }) {
+      const ua = fp.navigator?.userAgent || '';
+      if (osCategory !== 'ios' || ua.includes('iPhone') || ua.includes('iPad')) return null;
+      return 'iOS fingerprint without iPhone/iPad in userAgent.';
+    },
+  },
+  {
+    id: 'ios-platform',
+    severity: 'error',
+    description: 'iOS fingerprints must report an iPhone or iPad navigator.platform.',
+    check(fp, { osCategory }) {
+      const platform = (fp.navigator?.platform || '').toLowerCase();
+      if (osCategory !== 'ios' || platform.includes('iphone') || platform.includes('ipad')) return null;
+      return `iOS fingerprint with non-iOS navigator.platform "${fp.navigator?.platform}".`;
+    },
+    fix(fp) {
+      fp.navigator.platform = (fp.navigator.userAgent || '').includes('iPad') ? 'iPad' : 'iPhone';
+    },
+  },
+  {
+    id: 'android-user-agent',
+    severity: 'error',
+    description: 'Android fingerprints must mention Android in the userAgent.',
+    check(fp, { osCategory }) {
+      if (osCategory !== 'android' || (fp.navigator?.userAgent || '').includes('Android')) return null;
+      return 'Android fingerprint missing Android in userAgent.';
+    },
+  },
+  {
+    id: 'windows-user-agent',
+    severity: 'error',
+    description: 'Windows fingerprints must mention Windows in the userAgent.',
+    check(fp, { osCategory }) {
+      if (osCategory !== 'windows' || (fp.navigator?.userAgent || '').includes('Windows')) return null;
+      return 'Windows fingerprint missing Windows in userAgent.';
+    },
+  },
+  {
+    id: 'mobile-touch-support',
+    severity: 'error',
+    description: 'Phones and tablets must report touch points.',
+    check(fp, { osCategory }) {
+      if (!MOBILE_OS.has(osCategory) || (fp.navigator?.maxTouchPoints || 0) >= 1) return null;
+      return `${osCategory} fingerprint missing touch support.`;
+    },
+    fix(fp) {
+      fp.navigator.maxTouchPoints = 5;
+    },
+  },
+  {
+    id: 'mobile-safari-user-agent',
+    severity: 'warn',
+    description: 'Mobile Safari userAgents carry the Mobile token.',
+    check(fp, { browserKey }) {
+      if (browserKey !== 'mobile safari' || (fp.navigator?.userAgent || '').includes('Mobile')) return null;
+      return 'Mobile Safari fingerprint missing Mobile in userAgent.';
+    },
+  },
+  {
+    id: 'device-memory-engine',
+    severity: 'warn',
+    description: 'navigator.deviceMemory only exists in Chromium-based browsers.',
+    check(fp, { osCategory, browserKey }) {
+      const memory = fp.navigator?.deviceMemory;
+      if (memory === undefined || memory === null) return null;
+      const engine = browserEngine(browserKey, osCategory);
+      if (engine !== 'gecko' && engine !== 'webkit') return null;
+      return `${browserKey} (${engine}) does not expose navigator.deviceMemory, found ${memory}.`;
+    },
+    fix(fp) {
+      fp.navigator.deviceMemory = null;
+    },
+  },
+  {
+    id: 'webgl-renderer-os',
+    severity: 'error',
+    description: 'WebGL renderer backends must match the OS (Direct3D only on Windows, Metal only on Apple).',
+    check(fp, { osCategory }) {
+      const renderer = `${fp.webgl?.renderer || ''} ${fp.webgl?.vendor || ''}`;
+      if (/direct3d/i.test(renderer) && osCategory !== 'windows') {
+        return `Direct3D renderer "${fp.webgl.renderer}" on ${osCategory}.`;
+      }
+      if (/metal/i.test(renderer) && osCategory !== 'mac os' && osCategory !== 'ios') {
+        return `Metal renderer "${fp.webgl.renderer}" on ${osCategory}.`;
+      }
+      return null;
+    },
+  },
+  {
+    id: 'webgl-renderer-engine',
+    severity: 'warn',
+    description: 'The WebGL presentation matches the engine (ANGLE Metal only in Chromium, "Apple GPU" only in WebKit, Mesa only on Linux).',
+    check(fp, { osCategory, browserKey }) {
+      const renderer = fp.webgl?.renderer || '';
+      const engine = browserEngine(browserKey, osCategory);
+      if (/ANGLE Metal Renderer/.test(renderer) && engine !== 'blink') {
+        return `ANGLE Metal renderer in ${browserKey} (${engine}).`;
+      }
+      if (renderer === 'Apple GPU' && osCategory === 'mac os' && engine !== 'webkit') {
+        return `Masked "Apple GPU" renderer in ${browserKey} (${engine}) on mac os.`;
+      }
+      if (/\bMesa\b/.test(renderer) && osCategory !== 'gnu/linux based') {
+        return `Mesa renderer "${renderer}" on ${osCategory}.`;
+      }
+      return null;
+    },
+  },
+  {
+    id: 'audio-offline-engine',
+    severity: 'warn',
+    description: 'The OfflineAudioContext sum falls in the engine\'s cluster (~124 for Chromium, ~35 for Firefox and Safari).',
+    check(fp, { osCategory, browserKey }) {
+      const sum = fp.audio?.offlineRender?.sum;
+      if (typeof sum !== 'number') return null;
+      const engine = browserEngine(browserKey, osCategory);
+      const expected = { blink: [100, 150], gecko: [30, 40], webkit: [30, 40] }[engine];
+      if (!expected || (sum >= expected[0] && sum <= expected[1])) return null;
+      return `Offline audio sum ${sum} is outside the ${engine} range ${expected[0]}-${expected[1]}.`;
+    },
+  },
+  {
+    id: 'mobile-plugins',
+    severity: 'warn',
+    description: 'Mobile browsers expose no plugins or mimeTypes.',
+    check(fp, { osCategory }) {
+      if (!MOBILE_OS.has(osCategory) && !hasMobileUserAgent(fp.navigator?.userAgent)) return null;
+      const plugins = Array.isArray(fp.plugins) ? fp.plugins.length : 0;
+      const mimeTypes = Array.isArray(fp.mimeTypes) ? fp.mimeTypes.length : 0;
+      if (!plugins && !mimeTypes) return null;
+      return `Mobile fingerprint lists ${plugins} plugins and ${mimeTypes} mimeTypes.`;
+    },
+    fix(fp) {
+      fp.plugins = [];
+      fp.mimeTypes = [];
+    },
+  },
+  {
+    id: 'timezone-offset-name',
+    severity: 'error',
+    description: 'timezone.offset must match the offset of timezone.name.',
+    check(fp) {
+      const timezone = fp.timezone;
+      if (!timezone || !timezone.name || !Number.isFinite(timezone.offset)) return null;
+      const labelOffset = utcLabelToOffset(timezone.name);
+      if (labelOffset !== null) {
+        return labelOffset === timezone.offset
+          ? null
+          : `Offset ${timezone.offset} does not match label ${timezone.name} (${labelOffset}).`;
+      }
+      const date = referenceDate(fp);
+      const year = date.getUTCFullYear();
+      const candidates = [date, new Date(Date.UTC(year, 0, 1)), new Date(Date.UTC(year, 6, 1))]
+        .map(candidate => timezoneOffsetAt(timezone.name, candidate));
+      if (candidates[0] === null || candidates.includes(timezone.offset)) return null;
+      return `Offset ${timezone.offset} does not match ${timezone.name} (${candidates[0]} on ${date.toISOString().slice(0, 10)}).`;
+    },
+    fix(fp) {
+      const labelOffset = utcLabelToOffset(fp.timezone.name);
+      const offset = labelOffset !== null
+        ? labelOffset
+        : timezoneOffsetAt(fp.timezone.name, referenceDate(fp));
+      // An unknown zone has no offset to repair to; leave the issue standing.
+      if (offset !== null) fp.timezone.offset = offset;
+    },
+  },
+  {
+    id: 'timezone-name-iana',
+    severity: 'info',
+    description: 'Intl.DateTimeFormat().resolvedOptions().timeZone always returns an IANA zone name.',
+    check(fp) {
+      const name = fp.timezone?.name;
+      if (!name) return null;
+      if (UTC_LABEL_PATTERN.test(name)) return `timezone.name "${name}" is an offset label, not an IANA zone.`;
+      if (name !== 'UTC' && timezoneOffsetAt(name, new Date()) === null) return `Unknown timezone "${name}".`;
+      return null;
+    },
+  },
+  {
+    id: 'language-primary',
+    severity: 'warn',
+    description: 'navigator.language must equal navigator.languages[0].',
+    check(fp) {
+      const languages = fp.navigator?.languages;
+      if (!Array.isArray(languages) || !languages.length || fp.navigator.language === languages[0]) return null;
+      return `navigator.language "${fp.navigator.language}" differs from languages[0] "${languages[0]}".`;
+    },
+    fix(fp) {
+      fp.navigator.language = fp.navigator.languages[0];
+    },
+  },
+  {
+    id: 'screen-available-area',
+    severity: 'error',
+    description: 'The available screen area cannot exceed the screen size.',
+    check(fp) {
+      const screen = fp.screen;
+      if (!screen) return null;
+      if (screen.availWidth > screen.width || screen.availHeight > screen.height) {
+        return `Available area ${screen.availWidth}x${screen.availHeight} exceeds screen ${screen.width}x${screen.height}.`;
+      }
+      return null;
+    },
+    fix(fp) {
+      fp.screen.availWidth = Math.min(fp.screen.availWidth, fp.screen.width);
+      fp.screen.availHeight = Math.min(fp.screen.availHeight, fp.screen.height);
+    },
+  },
+  {
+    id: 'webgl2-requires-webgl',
+    severity: 'warn',
+    description: 'A browser without WebGL cannot support WebGL2.',
+    check(fp) {
+      if (!fp.features || fp.features.webgl || !fp.features.webgl2) return null;
+      return 'features.webgl2 is true while features.webgl is false.';
+    },
+    fix(fp) {
+      fp.features.webgl2 = false;
+    },
+  },
+  {
+    id: 'webdriver-flag',
+    severity: 'warn',
+    description: 'navigator.webdriver is true only under automation.',
+    check(fp) {
+      return fp.navigator?.webdriver === true ? 'navigator.webdriver is true.' : null;
+    },
+    fix(fp) {
+      fp.navigator.webdriver = false;
+    },
+  },
+  {
+    id: 'ua-data-engine',
+    severity: 'error',
+    description: 'navigator.userAgentData only exists in Chromium-based browsers.',
+    check(fp, { osCategory, browserKey }) {
+      if (!fp.navigator?.userAgentData) return null;
+      const engine = browserEngine(browserKey, osCategory);
+      if (engine !== 'gecko' && engine !== 'webkit') return null;
+      return `${browserKey} (${engine}) does not expose navigator.userAgentData.`;
+    },
+    fix(fp) {
+      fp.navigator.userAgentData = null;
+    },
+  },
+  {
+    id: 'ua-data-version',
+    severity: 'error',
+    description: 'The Chromium brand version matches the Chrome/ major version in the userAgent.',
+    check(fp) {
+      const brands = fp.navigator?.userAgentData?.brands;
+      const match = /Chrome\/(\d+)/.exec(fp.navigator?.userAgent || '');
+      if (!Array.isArray(brands) || !match) return null;
+      const chromium = brands.find(entry => entry.brand === 'Chromium');
+      if (!chromium || chromium.version === match[1]) return null;
+      return `userAgentData Chromium brand ${chromium.version} does not match Chrome/${match[1]}.`;
+    },
+  },
+  {
+    id: 'ua-data-platform',
+    severity: 'error',
+    description: 'userAgentData.platform and mobile agree with the detected OS.',
+    check(fp, { osCategory }) {
+      const uaData = fp.navigator?.userAgentData;
+      if (!uaData) return null;
+      const expected = UA_DATA_PLATFORMS[osCategory];
+      if (expected && uaData.platform !== expected) {
+        return `userAgentData.platform is "${uaData.platform}" on ${osCategory}, expected "${expected}".`;
+      }
+      if (uaData.mobile !== (osCategory === 'android')) {
+        return `userAgentData.mobile is ${uaData.mobile} on ${osCategory}.`;
+      }
+      return null;
+    },
+  },
+  {
+    id: 'ua-data-model',
+    severity: 'warn',
+    description: 'The Android device model from client hints appears in the userAgent.',
+    check(fp, { osCategory }) {
+      const model = fp.navigator?.userAgentData?.highEntropy?.model;
+      if (osCategory !== 'android' || !model) return null;
+      if ((fp.navigator?.userAgent || '').includes(model)) return null;
+      return `userAgentData model "${model}" does not appear in the userAgent.`;
+    },
+  },
+  {
+    id: 'fonts-os',
+    severity: 'warn',
+    description: 'The font list carries no fonts exclusive to another OS.',
+    check(fp, { osCategory }) {
+      if (!Array.isArray(fp.fonts)) return null;
+      const family = OS_FONT_FAMILY[osCategory];
+      const fonts = new Set(fp.fonts);
+      const foreign = Object.entries(OS_MARKER_FONTS)
+        .filter(([markerFamily]) => markerFamily !== family)
+        .flatMap(([, markers]) => markers.filter(font => fonts.has(font)));
+      if (!foreign.length) return null;
+      return `Fonts from another OS on ${osCategory}: ${foreign.join(', ')}.`;
+    },
+  },
+  {
+    id: 'media-voices-os',
+    severity: 'warn',
+    description: 'Built-in speech voices belong to the OS (SAPI voices only on Windows).',
+    check(fp, { osCategory }) {
+      const voices = fp.media?.voices;
+      if (!Array.isArray(voices) || osCategory === 'windows') return null;
+      // Edge's "Online (Natural)" voices are cloud voices and exist everywhere.
+      const foreign = voices
+        .map(voice => voice.name)
+        .filter(name => /^Microsoft \S+ - /.test(name));
+      if (!foreign.length) return null;
+      return `Windows speech voices on ${osCategory}: ${foreign.join(', ')}.`;
+    },
+  },
+  {
+    id: 'headers-user-agent',
+    severity: 'error',
+    description: 'The User-Agent request header matches navigator.userAgent.',
+    check(fp) {
+      const header = fp.headers?.['User-Agent'];
+      const userAgent = fp.navigator?.userAgent;
+      if (!header || !userAgent || header === userAgent) return null;
+      return 'headers User-Agent differs from navigator.userAgent.';
+    },
+    fix(fp) {
+      fp.headers['User-Agent'] = fp.navigator.userAgent;
+    },
+  },
+  {
+    id: 'headers-client-hints',
+    severity: 'error',
+    description: 'Sec-CH-UA headers are sent only alongside navigator.userAgentData.',
+    check(fp) {
+      if (!fp.headers) return null;
+      const hasHints = fp.headers['sec-ch-ua'] !== undefined;
+      const hasUaData = Boolean(fp.navigator?.userAgentData);
+      if (hasHints === hasUaData) return null;
+      return hasHints
+        ? 'sec-ch-ua header present without navigator.userAgentData.'
+        : 'navigator.userAgentData present but sec-ch-ua header missing.';
+    },
+  },
+];
+
+/**
+ * Run every rule against a fingerprint
+ * @param {Object} fingerprint - Fingerprint to inspect
+ * @param {Object} context - { osCategory, browserKey, compatibility }
+ * @param {Object} options - { fix: boolean } to repair fixable issues in place
+ * @returns {Array<Object>} Issues: { rule, severity, message, fixable, fixed }
+ */
+function validateFingerprint(fingerprint, context, options = {}) {
+  const issues = [];
+  for (const rule of RULES) {
+    let message = null;
+    try {
+      message = rule.check(fingerprint, context);
+    } catch (error) {
+      message = `Rule failed: ${error.message}`;
+    }
+    if (!message) continue;
+
+    const issue = {
+      rule: rule.id,
+      severity: rule.severity,
+      message,
+      fixable: typeof rule.fix === 'function',
+      fixed: false,
+    };
+    if (options.fix && issue.fixable) {
+      try {
+        rule.fix(fingerprint, context);
+        issue.fixed = !rule.check(fingerprint, context);
+      } catch (error) {
+        issue.message = `${message} Fix failed: ${error.message}`;
+      }
+    }
+    issues.push(issue);
+  }
+  return issues;
+}
+
+function summarizeIssues(issues) {
+  const summary = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  summary.fixed = 0;
+  issues.forEach(issue => {
+    if (issue.fixed) {
+      summary.fixed += 1;
+    } else {
+      summary[issue.severity] += 1;
+    }
+  });
+  return summary;
+}
+
+module.exports = {
+  RULES,
+  SEVERITIES,
+  browserEngine,
+  timezoneOffsetAt,
+  validateFingerprint,
+  summarizeIssues,
+};
@@ -5,8 +5,13 @@
 // Supports seeded (template-based) and pure (fully synthetic) browser fingerprint generation.
 
 const fs = require('fs/promises');
+const { createWriteStream } = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { validateFingerprint, browserEngine, timezoneOffsetAt } = require('./fingerprint-validator');
+const { SCHEMA_VERSION, assertValidSchema, migrateFingerprint } = require('./fingerprint-schema');
+const { buildRequestHeaders } = require('./fingerprint-headers');
+const { renderCanvasFingerprint, isDecodablePng, canvasHash } = require('./fingerprint-canvas');
 
 const FINGERPRINTS_DIR = path.resolve(__dirname, 'fingerprints');
 const DISTRIBUTION_DIR = path.resolve(__dirname, 'distribution_data');
@@ -35,6 +40,32 @@ const BROWSER_OS_COMPATIBILITY = {
   webkit: new Set(['mac os']),
 };
 
+const OS_ALIASES = {
+  mac: 'mac os',
+  macos: 'mac os',
+  osx: 'mac os',
+  linux: 'gnu/linux based',
+  win: 'windows',
+};
+
+const BROWSER_ALIASES = {
+  samsung: 'samsung browser',
+  'samsung-browser': 'samsung browser',
+  'mobile-safari': 'mobile safari',
+  'ios-safari': 'mobile safari',
+  msedge: 'edge',
+};
+
+const NO_CONSTRAINTS = {
+  osKeys: null,
+  browserKeys: null,
+  browsersByOs: null,
+  minVersion: null,
+  asOf: null,
+  language: null,
+  timezone: null,
+};
+
 const BROWSER_VENDOR = {
   chrome: 'Google Inc.',
   firefox: 'Mozilla Foundation',
@@ -331,8 +362,83 @@ const WEBGL_CANDIDATES = {
   ],
 };
 
-const AUDIO_SAMPLE_RATES = [44100, 48000];
-const AUDIO_STATES = ['running', 'suspended'];
+// User-Agent Client Hints (navigator.userAgentData), Chromium only.
+const CLIENT_HINT_BRANDS = {
+  chrome: 'Google Chrome',
+  edge: 'Microsoft Edge',
+  brave: 'Brave',
+  opera: 'Opera',
+  'samsung browser': 'Samsung Internet',
+  gsa: 'Android WebView',
+};
+
+// UA token carrying the brand's own version when it differs from Chrome/.
+const CLIENT_HINT_VERSION_TOKENS = {
+  edge: 'Edg',
+  opera: 'OPR',
+  'samsung browser': 'SamsungBrowser',
+};
+
+const CLIENT_HINT_PLATFORMS = {
+  windows: 'Windows',
+  'mac os': 'macOS',
+  'gnu/linux based': 'Linux',
+  android: 'Android',
+};
+
+// GREASE values from Chromium's GenerateBrandVersionList, indexed by major version.
+const GREASE_CHARS = [' ', '(', ':', '-', '.', '/', ')', ';', '=', '?', '_'];
+const GREASE_VERSIONS = ['8', '99', '24'];
+const GREASE_ORDERS = [[0, 1, 2], [0, 2, 1], [1, 0, 2], [1, 2, 0], [2, 0, 1], [2, 1, 0]];
+
+// Approximate build numbers (major -> build grows linearly) for majors missing
+// from browser_releases.json. Anchored on Chrome 120.0.6099 and Edge 120.0.2210.
+const CLIENT_HINT_BUILD_ANCHORS = {
+  chromium: { major: 120, build: 6099, perMajor: 56 },
+  edge: { major: 120, build: 2210, perMajor: 63 },
+};
+
+// navigator.userAgentData shipped in Chromium 90.
+const CLIENT_HINTS_MIN_MAJOR = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// With --as-of, a major stays in use this long after its successor ships, and
+// each step behind the newest current major scales its weight by the decay.
+const RELEASE_GRACE_DAYS = 120;
+const RELEASE_RECENCY_DECAY = 0.35;
+
+// OS versions that reduced user agents report regardless of the real release;
+// they say nothing about which browser versions the device can run.
+const FROZEN_UA_OS_LABELS = {
+  'mac os': ['10_15_7', '10_15'],
+  android: ['10'],
+};
+
+// Browsers that ship with the OS: their major is the OS major.
+const OS_BUNDLED_BROWSERS = {
+  'mobile safari': 'ios',
+};
+
+// With an as-of date, generatedAt falls within this many seconds after it.
+const AS_OF_TIMESTAMP_WINDOW_SECONDS = 24 * 60 * 60;
+
+// Validates --language codes: English names exist only for real languages.
+const LANGUAGE_NAMES = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+
+// The UA says "Windows NT 10.0" for both Windows 10 and 11; platformVersion
+// tells them apart (Windows 11 reports 13.0.0 and up). Repeats act as weights.
+const WINDOWS_PLATFORM_VERSIONS = {
+  7: ['0.1.0'],
+  8: ['0.2.0'],
+  8.1: ['0.3.0'],
+  10: ['10.0.0', '10.0.0', '10.0.0', '10.0.0', '14.0.0', '15.0.0', '19.0.0', '19.0.0'],
+  11: ['13.0.0', '14.0.0', '15.0.0', '19.0.0', '19.0.0'],
+};
+
+// Chrome freezes the macOS UA at 10_15_7, while platformVersion reports the
+// real release.
+const MAC_PLATFORM_VERSIONS = ['13.6.7', '14.5.0', '14.6.1', '15.0.0', '15.1.0', '15.3.1', '15.5.0'];
+const LINUX_PLATFORM_VERSIONS = ['5.15.0', '6.1.0', '6.5.0', '6.8.0', '6.11.0'];
 
 const FEATURE_VARIATION = {
   indexedDB: 0.02,
@@ -375,6 +481,11 @@ const MIMETYPE_LIBRARY = {
   ],
 };
 
+// Seeded runs without --timestamp get a generatedAt drawn from this window so
+// the output stays reproducible.
+const SEEDED_TIMESTAMP_START = Date.UTC(2025, 0, 1);
+const SEEDED_TIMESTAMP_SPAN_SECONDS = 365 * 24 * 60 * 60;
+
 let distributionCache = null;
 
 function toLowerKey(value, fallback = 'unknown') {
@@ -481,10 +592,86 @@ function randomSubset(list, rand, { min = 0, max = list.length } = {}) {
   return result;
 }
 
-function generateRandomCanvas(rand, { minLength = 512, maxLength = 2048 } = {}) {
-  const length = randomInt(minLength, maxLength, rand);
-  const buffer = crypto.randomBytes(length);
-  return `data:image/png;base64,${buffer.toString('base64')}`;
+function randomBytes(length, rand) {
+  const buffer = Buffer.alloc(length);
+  for (let i = 0; i < length; i += 1) {
+    buffer[i] = Math.floor(rand() * 256);
+  }
+  return buffer;
+}
+
+function parseTimestamp(value) {
+  const date = typeof value === 'string' && /^\d+$/.test(value.trim())
+    ? new Date(Number(value))
+    : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid timestamp "${value}". Expected an ISO 8601 date or epoch milliseconds.`);
+  }
+  return date;
+}
+
+/**
+ * Resolve generatedAt for one fingerprint. An explicit timestamp always wins;
+ * an as-of date puts it within a day after that date, so offsets and releases
+ * agree with it; seeded runs otherwise draw it from the PRNG so the same seed
+ * yields the same output. The draw happens even when overridden so the rest
+ * of the sample does not shift.
+ */
+function resolveTimestamp(options, rand) {
+  const seeded = options.seed !== undefined && options.seed !== null;
+  const asOf = options.constraints?.asOf;
+  let sampled;
+  if (asOf !== undefined && asOf !== null && asOf !== '') {
+    sampled = new Date(parseTimestamp(asOf).getTime() + Math.floor(rand() * AS_OF_TIMESTAMP_WINDOW_SECONDS) * 1000);
+  } else if (seeded) {
+    sampled = new Date(SEEDED_TIMESTAMP_START + Math.floor(rand() * SEEDED_TIMESTAMP_SPAN_SECONDS) * 1000);
+  } else {
+    sampled = new Date();
+  }
+  if (options.timestamp !== undefined && options.timestamp !== null) {
+    return parseTimestamp(options.timestamp).toISOString();
+  }
+  return sampled.toISOString();
+}
+
+/**
+ * Whether generatedAt is a free seeded draw that should follow the sampled
+ * browser version: seeded, with neither a timestamp nor an as-of date given.
+ */
+function timestampFollowsVersion(options) {
+  const asOf = options.constraints?.asOf;
+  return options.seed !== undefined && options.seed !== null
+    && (options.timestamp === undefined || options.timestamp === null)
+    && (asOf === undefined || asOf === null || asOf === '');
+}
+
+/**
+ * Move a seeded generatedAt into the window in which the sampled version was
+ * current: from its build's release until RELEASE_GRACE_DAYS after its
+ * successor came out (or its end of life), or RELEASE_GRACE_DAYS after its
+ * own release for the newest major. Timestamps already inside, and browsers
+ * without release data, are left alone.
+ */
+function alignTimestampToRelease(timestamp, releaseInfo, versionSample, rand) {
+  const releases = releaseInfo?.releases || [];
+  const release = releases.find(entry => entry.major === Number(versionSample.label));
+  if (!release) return timestamp;
+  const build = (release.builds || []).find(entry => entry.version === versionSample.build);
+  const start = Date.parse(build?.date || release.date);
+  const successor = releases
+    .filter(entry => entry.major > release.major)
+    .sort((a, b) => a.major - b.major)[0];
+  let end = null;
+  if (release.endOfLife) {
+    end = Date.parse(release.endOfLife);
+  } else if (successor) {
+    end = Date.parse(successor.date) + RELEASE_GRACE_DAYS * DAY_MS;
+  }
+
+  const time = Date.parse(timestamp);
+  if (time >= start && (end === null || time <= end)) return timestamp;
+  const span = Math.max(DAY_MS, (end ?? start + RELEASE_GRACE_DAYS * DAY_MS) - start);
+  return new Date(start + Math.floor(rand() * (span / 1000)) * 1000).toISOString();
 }
 
 function isUserAgentCompatible(userAgent, osCategory) {
@@ -544,10 +731,18 @@ function stripBom(value) {
   return value.replace(/^\ufeff/, '');
 }
 
-function parseWeightedCsv(content) {
+/**
+ * Parse a `"Category","<key>"` CSV into { label, key, weight } entries.
+ * Lines that cannot be parsed are skipped; pass an `issues` array to collect
+ * them as { line, message } (line numbers are 1-based).
+ */
+function parseWeightedCsv(content, issues = null) {
   const lines = stripBom(content).replace(/\r/g, '').split('\n');
   if (lines.length <= 1) return [];
 
+  const skip = (index, message) => {
+    if (issues) issues.push({ line: index + 1, message });
+  };
   const result = [];
   for (let i = 1; i < lines.length; i += 1) {
     const line = lines[i].trim();
@@ -555,14 +750,23 @@ function parseWeightedCsv(content) {
 
     const cleaned = stripBom(line);
     const parts = cleaned.split(',');
-    if (parts.length < 2) continue;
+    if (parts.length < 2) {
+      skip(i, `Expected "category",weight but found ${JSON.stringify(line)}.`);
+      continue;
+    }
 
     const rawCategory = stripBom(parts[0]).replace(/^"+|"+$/g, '').trim();
     const rawWeight = parts.slice(1).join(',').replace(/^"+|"+$/g, '').trim();
-    if (!rawCategory) continue;
+    if (!rawCategory) {
+      skip(i, 'Empty category.');
+      continue;
+    }
 
     const weight = Number(rawWeight);
-    if (!Number.isFinite(weight)) continue;
+    if (!rawWeight || !Number.isFinite(weight)) {
+      skip(i, `Weight "${rawWeight}" for "${rawCategory}" is not a number.`);
+      continue;
+    }
 
     result.push({
       label: rawCategory,
@@ -584,6 +788,45 @@ async function loadWeightedCsv(filename) {
   }
 }
 
+const CONDITIONAL_CSV_PATTERN = /^(.+)_given_(os|browser)_(.+)\.csv$/;
+
+/**
+ * Conditional tables named `<table>_given_<os|browser>_<value>.csv`, e.g.
+ * browser_given_os_android.csv (browser weights on Android) or
+ * os_windows_given_browser_edge.csv (Windows versions among Edge users),
+ * keyed by table and then by `<os|browser>_<value>`.
+ */
+async function loadConditionalCsvs() {
+  let filenames;
+  try {
+    filenames = await fs.readdir(DISTRIBUTION_DIR);
+  } catch (error) {
+    return {};
+  }
+
+  const tables = {};
+  await Promise.all(
+    filenames.map(async filename => {
+      const match = CONDITIONAL_CSV_PATTERN.exec(filename);
+      if (!match) return;
+      const entries = await loadWeightedCsv(filename);
+      if (!entries.length) return;
+      const [, table, kind, value] = match;
+      tables[table] = { ...tables[table], [`${kind}_${value}`]: entries };
+    }),
+  );
+  return tables;
+}
+
+async function loadJsonData(filename) {
+  try {
+    const filepath = path.join(DISTRIBUTION_DIR, filename);
+    return JSON.parse(await fs.readFile(filepath, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
 function sampleWeightedCategory(entries, allowedKeys, rand) {
   if (!entries || !entries.length) return null;
 
@@ -609,6 +852,18 @@ function sampleWeightedCategory(entries, allowedKeys, rand) {
   return filtered[filtered.length - 1];
 }
 
+/**
+ * Draw from a `[{ value, weight }]` list, as used by the JSON data files.
+ */
+function sampleWeightedValue(entries, rand, fallback = null) {
+  const sample = sampleWeightedCategory(
+    (entries || []).map(entry => ({ key: String(entry.value), label: String(entry.value), weight: entry.weight, value: entry.value })),
+    null,
+    rand,
+  );
+  return sample ? sample.value : fallback;
+}
+
 function detectOsCategory(fingerprint) {
   const platform = toLowerKey(fingerprint.navigator?.platform || '');
   const ua = toLowerKey(fingerprint.navigator?.userAgent || '');
@@ -640,17 +895,42 @@ function detectOsCategory(fingerprint) {
 async function ensureDistributions() {
   if (distributionCache) return distributionCache;
 
-  const [browser, os, language, timezone] = await Promise.all([
+  const [
+    browser,
+    os,
+    language,
+    timezone,
+    fontSets,
+    webglCatalog,
+    audioClusters,
+    mediaProfiles,
+    deviceCatalog,
+    browserReleases,
+    osReleases,
+    timezoneZones,
+    countries,
+    conditional,
+  ] = await Promise.all([
     loadWeightedCsv('browser.csv'),
     loadWeightedCsv('os.csv'),
     loadWeightedCsv('language.csv'),
     loadWeightedCsv('timezone.csv'),
+    loadJsonData('fonts.json'),
+    loadJsonData('webgl_gpus.json'),
+    loadJsonData('audio_clusters.json'),
+    loadJsonData('media_profiles.json'),
+    loadJsonData('devices.json'),
+    loadJsonData('browser_releases.json'),
+    loadJsonData('os_releases.json'),
+    loadJsonData('timezone_zones.json'),
+    loadJsonData('countries.json'),
+    loadConditionalCsvs(),
   ]);
 
   const browserVersions = {};
   await Promise.all(
     Object.entries(BROWSER_OS_COMPATIBILITY).map(async ([browserKey]) => {
-      const filename = `browser_${browserKey.replace(/\\s+/g, '_')}.csv`;
+      const filename = `browser_${browserFileSegment(browserKey)}.csv`;
       browserVersions[browserKey] = await loadWeightedCsv(filename);
     }),
   );
@@ -674,6 +954,16 @@ async function ensureDistributions() {
     timezone,
     browserVersions,
     osDetails,
+    fontSets,
+    webglCatalog,
+    audioClusters,
+    mediaProfiles,
+    deviceCatalog,
+    browserReleases,
+    osReleases,
+    timezoneZones,
+    countries,
+    conditional,
   };
 
   return distributionCache;
@@ -688,11 +978,12 @@ const OS_DETAIL_FILENAME_BY_CATEGORY = {
 };
 
 async function loadSourceFingerprints(options = {}) {
-  const { includeSynthetic = false } = options;
+  const { includeSynthetic = false, required = true } = options;
   let files = [];
   try {
-    files = await fs.readdir(FINGERPRINTS_DIR);
+    files = (await fs.readdir(FINGERPRINTS_DIR)).sort();
   } catch (error) {
+    if (!required) return buildAggregates([]);
     throw new Error(`Cannot read fingerprints directory: ${FINGERPRINTS_DIR}`);
   }
 
@@ -702,7 +993,7 @@ async function loadSourceFingerprints(options = {}) {
     const filepath = path.join(FINGERPRINTS_DIR, filename);
     try {
       const content = await fs.readFile(filepath, 'utf8');
-      const data = JSON.parse(content);
+      const data = migrateFingerprint(JSON.parse(content)).fingerprint;
       if (!includeSynthetic && (data.synthetic || data.source === 'synthetic')) {
         continue;
       }
@@ -720,7 +1011,7 @@ async function loadSourceFingerprints(options = {}) {
     }
   }
 
-  if (!records.length) {
+  if (!records.length && required) {
     throw new Error('No source fingerprints available for generation.');
   }
 
@@ -763,9 +1054,10 @@ function buildAggregates(records) {
     userAgentsGlobal: [],
     doNotTrackByBrowser: new Map(),
     doNotTrackGlobal: [],
-    webglByOsCategory: new Map(),
+    webglByOsEngine: new Map(),
+    devicesByOsEngine: new Map(),
     canvasByOsCategory: new Map(),
-    audioByOsCategory: new Map(),
+    audioByOsEngine: new Map(),
     featuresByBrowser: new Map(),
     pluginsByBrowser: new Map(),
     mimeTypesByBrowser: new Map(),
@@ -877,7 +1169,20 @@ function buildAggregates(records) {
     }
 
     if (fp.webgl) {
-      pushValue(aggregates.webglByOsCategory, osCategory, { ...fp.webgl });
+      // Only captures with the extended section can stand in for a catalog profile.
+      if (Array.isArray(fp.webgl.extensions)) {
+        pushValue(aggregates.webglByOsEngine, `${osCategory}::${browserEngine(browserKey, osCategory)}`, clone(fp.webgl));
+        if (fp.screen && Number.isFinite(fp.screen.width) && Number.isFinite(fp.screen.height)) {
+          pushValue(aggregates.devicesByOsEngine, `${osCategory}::${browserEngine(browserKey, osCategory)}`, {
+            name: `corpus:${record.filename}`,
+            webgl: clone(fp.webgl),
+            hardwareConcurrency: fp.navigator?.hardwareConcurrency ?? null,
+            deviceMemory: fp.navigator?.deviceMemory ?? null,
+            maxTouchPoints: fp.navigator?.maxTouchPoints ?? null,
+            screen: { ...fp.screen },
+          });
+        }
+      }
     }
 
     if (fp.canvas) {
@@ -885,7 +1190,7 @@ function buildAggregates(records) {
     }
 
     if (fp.audio) {
-      pushValue(aggregates.audioByOsCategory, osCategory, { ...fp.audio });
+      pushValue(aggregates.audioByOsEngine, `${browserEngine(browserKey, osCategory)}::${osCategory}`, clone(fp.audio));
     }
 
     if (fp.features) {
@@ -904,7 +1209,40 @@ function buildAggregates(records) {
   return aggregates;
 }
 
-function sampleLanguageSet(aggregates, distributions, rand) {
+function languageSetMatches(languages, languageConstraint) {
+  const { code, tag } = languageConstraint;
+  return tag ? languages[0] === tag : toLowerKey(languages[0].split('-')[0]) === code;
+}
+
+/**
+ * navigator.languages for a code with no captured or country list: the tag
+ * with the language's most likely region per CLDR (ja -> ja-JP, sw -> sw-TZ)
+ * followed by the bare code, or only the code when CLDR knows no region.
+ */
+function defaultLanguageSet(code) {
+  let region;
+  try {
+    region = new Intl.Locale(code).maximize().region;
+  } catch (error) {
+    region = undefined;
+  }
+  return region ? [`${code}-${region}`, code] : [code];
+}
+
+function sampleLanguageSet(aggregates, distributions, rand, languageConstraint = null) {
+  if (languageConstraint) {
+    const { code, tag } = languageConstraint;
+    const candidates = (aggregates.languagesByCode.get(code) || [])
+      .filter(set => languageSetMatches(set, languageConstraint));
+    if (candidates.length) {
+      return { languages: [...pickRandom(candidates, rand)], code };
+    }
+    return {
+      languages: tag ? [tag, code] : defaultLanguageSet(code),
+      code,
+    };
+  }
+
   const languageEntry = sampleWeightedCategory(distributions.language, null, rand);
   if (!languageEntry) {
     return {
@@ -922,10 +1260,8 @@ function sampleLanguageSet(aggregates, distributions, rand) {
     };
   }
 
-  const lower = code.toLowerCase();
-  const upper = lower.toUpperCase();
   return {
-    languages: [`${lower}-${upper}`, lower],
+    languages: defaultLanguageSet(code),
     code,
   };
 }
@@ -940,15 +1276,38 @@ function timezoneLabelToOffset(label) {
   return sign * (hours * 60 + minutes);
 }
 
-function sampleTimezoneObject(aggregates, distributions, rand, osCategory) {
-  const tzEntry = sampleWeightedCategory(distributions.timezone, null, rand);
+function timezoneOffsetToLabel(offset) {
+  const minutes = Math.abs(offset);
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `UTC${offset > 0 ? '-' : '+'}${hours}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Weighted IANA zones for a UTC offset label from timezone_zones.json, looked
+ * up by offset so "UTC-00:00" and "UTC+00:00" share one list.
+ */
+function zonesForLabel(timezoneZones, label) {
+  const offset = timezoneLabelToOffset(label);
+  const key = Object.keys(timezoneZones || {}).find(zoneLabel => timezoneLabelToOffset(zoneLabel) === offset);
+  return key ? timezoneZones[key] : [];
+}
+
+/**
+ * Sample a timezone as the browser reports it: an IANA zone name and its
+ * getTimezoneOffset() value on `date`, so DST is applied. The UTC label
+ * only selects which zones are eligible.
+ */
+function sampleTimezoneObject(aggregates, distributions, rand, osCategory, timezoneConstraint = null, date = new Date()) {
+  const tzEntry = timezoneConstraint
+    ? { label: timezoneConstraint }
+    : sampleWeightedCategory(distributions.timezone, null, rand);
   if (!tzEntry) {
     const fallback = pickRandom(aggregates.timezonesByOsCategory.get(osCategory), rand)
       || pickRandom(aggregates.timezonesGlobal, rand);
     if (fallback) {
       return { timezone: { ...fallback }, label: fallback.name || null };
     }
-    return { timezone: { offset: 0, name: 'UTC+00:00' }, label: 'UTC+00:00' };
+    return { timezone: { offset: 0, name: 'UTC' }, label: 'UTC+00:00' };
   }
 
   const label = tzEntry.label;
@@ -957,32 +1316,321 @@ function sampleTimezoneObject(aggregates, distributions, rand, osCategory) {
     return { timezone: { offset: 0, name: label }, label };
   }
 
-  const candidates = aggregates.timezonesByOffset.get(offset);
-  if (candidates && candidates.length) {
-    return { timezone: { ...pickRandom(candidates, rand) }, label };
+  let zones = zonesForLabel(distributions.timezoneZones, label);
+  // An explicit --timezone should hold on the generation date, so prefer
+  // zones that observe that offset then (e.g. Halifax over New York in winter).
+  if (timezoneConstraint) {
+    const observing = zones.filter(entry => timezoneOffsetAt(entry.value, date) === offset);
+    if (observing.length) zones = observing;
+  }
+  const zone = sampleWeightedValue(zones, rand);
+  if (zone) {
+    return { timezone: { offset: timezoneOffsetAt(zone, date), name: zone }, label };
+  }
+
+  const candidates = (aggregates.timezonesByOffset.get(offset) || [])
+    .filter(candidate => candidate.name && timezoneOffsetAt(candidate.name, date) !== null);
+  if (candidates.length) {
+    const { name } = pickRandom(candidates, rand);
+    return { timezone: { offset: timezoneOffsetAt(name, date), name }, label };
   }
 
+  // Fixed Etc/GMT zones cover the remaining whole-hour offsets; their sign is inverted.
+  if (offset % 60 === 0) {
+    const name = offset === 0 ? 'UTC' : `Etc/GMT${offset > 0 ? '+' : '-'}${Math.abs(offset / 60)}`;
+    return { timezone: { offset, name }, label };
+  }
   return { timezone: { offset, name: label }, label };
 }
 
-function sampleBrowserVersion(browserKey, distributions, rand) {
-  const versions = distributions.browserVersions[browserKey];
-  if (!versions || !versions.length) {
-    return { label: null };
+function weightShare(subset, entries) {
+  const total = (entries || []).reduce((sum, entry) => sum + (entry.weight || 0), 0);
+  return total > 0 ? subset.reduce((sum, entry) => sum + (entry.weight || 0), 0) / total : 0;
+}
+
+function languageSetCode(languages) {
+  return toLowerKey(languages[0].split('-')[0]);
+}
+
+/**
+ * Sample the primary language from language.csv, then a country from
+ * countries.json weighted by how much of its population uses that language,
+ * then navigator.languages and an IANA timezone from that country's weights,
+ * so locale and timezone agree without moving the language.csv shares.
+ * Languages language.csv does not list only come up through a language
+ * constraint. Language/timezone constraints keep only matching entries and
+ * scale each country by the share of its weight they cover. Returns null when
+ * the table is missing or no country satisfies the constraints.
+ */
+function sampleCountryLocale(distributions, rand, constraints, date) {
+  const offset = constraints.timezone ? timezoneLabelToOffset(constraints.timezone) : null;
+  const countries = Object.entries(distributions.countries || {}).map(([country, entry]) => ({
+    country,
+    entry,
+    languages: (entry.languages || [])
+      .filter(item => !constraints.language || languageSetMatches(item.value, constraints.language)),
+    timezones: (entry.timezones || [])
+      .filter(item => offset === null || timezoneOffsetAt(item.value, date) === offset),
+  }));
+  const offered = new Set(countries
+    .filter(candidate => candidate.timezones.length)
+    .flatMap(candidate => candidate.languages.map(item => languageSetCode(item.value))));
+  const language = offered.size ? sampleWeightedCategory(distributions.language, offered, rand) : null;
+
+  const candidates = countries
+    .map(({ country, entry, languages, timezones }) => {
+      const spoken = language ? languages.filter(item => languageSetCode(item.value) === language.key) : languages;
+      const weight = (entry.weight || 0)
+        * weightShare(spoken, entry.languages)
+        * weightShare(timezones, entry.timezones);
+      return { key: country, label: country, weight, languages: spoken, timezones };
+    })
+    .filter(candidate => candidate.weight > 0);
+
+  const country = sampleWeightedCategory(candidates, null, rand);
+  if (!country) return null;
+  const languages = sampleWeightedValue(country.languages, rand);
+  const zone = sampleWeightedValue(country.timezones, rand);
+  const zoneOffset = timezoneOffsetAt(zone, date);
+  return {
+    country: country.label,
+    languageSample: { languages: [...languages], code: languageSetCode(languages) },
+    timezoneSample: { timezone: { offset: zoneOffset, name: zone }, label: timezoneOffsetToLabel(zoneOffset) },
+  };
+}
+
+/**
+ * Languages and timezone for one fingerprint: jointly from a sampled country
+ * when countries.json can satisfy the constraints, otherwise independently
+ * from language.csv and timezone.csv.
+ */
+function sampleLocale(aggregates, distributions, rand, osCategory, constraints, date) {
+  const locale = sampleCountryLocale(distributions, rand, constraints, date);
+  if (locale) return locale;
+  return {
+    country: null,
+    languageSample: sampleLanguageSet(aggregates, distributions, rand, constraints.language),
+    timezoneSample: sampleTimezoneObject(aggregates, distributions, rand, osCategory, constraints.timezone, date),
+  };
+}
+
+function filterVersionsByMinimum(versions, minVersion) {
+  if (!versions || minVersion === null || minVersion === undefined) return versions || [];
+  return versions.filter(entry => {
+    const major = parseFloat(entry.label);
+    return Number.isFinite(major) && major >= minVersion;
+  });
+}
+
+/**
+ * Releases that were current on `asOf` (epoch ms), newest first: released by
+ * then and not yet past their end of life, or, without one, at most
+ * RELEASE_GRACE_DAYS past the release of their successor.
+ */
+function currentReleases(releaseInfo, asOf) {
+  const released = (releaseInfo?.releases || [])
+    .filter(release => Date.parse(release.date) <= asOf)
+    .sort((a, b) => b.major - a.major);
+  return released.filter((release, index) => {
+    if (index === 0) return true;
+    const until = release.endOfLife
+      ? Date.parse(release.endOfLife)
+      : Date.parse(released[index - 1].date) + RELEASE_GRACE_DAYS * DAY_MS;
+    return asOf <= until;
+  });
+}
+
+/**
+ * Weighted version entries for a browser. With an as-of date, the releases in
+ * browser_releases.json current on that date weighted by recency (none for
+ * browsers it does not list); otherwise the browser_<name>.csv snapshot, or
+ * its browser_<name>_given_os_<os>.csv variant for the sampled OS.
+ */
+function browserVersionEntries(browserKey, distributions, asOf = null, osCategory = null) {
+  const releaseInfo = distributions.browserReleases?.[browserKey];
+  if (asOf === null || asOf === undefined) {
+    return conditionalEntries(
+      distributions,
+      `browser_${browserFileSegment(browserKey)}`,
+      { osCategory },
+      distributions.browserVersions[browserKey] || [],
+    );
+  }
+  if (!releaseInfo) return [];
+  return currentReleases(releaseInfo, asOf).map((release, index) => ({
+    label: String(release.major),
+    key: String(release.major),
+    weight: RELEASE_RECENCY_DECAY ** index,
+  }));
+}
+
+function minimumOsVersion(releaseInfo, major, osCategory) {
+  let minimum = null;
+  (releaseInfo?.minOs || []).forEach(rule => {
+    if (major >= rule.fromMajor && rule.os?.[osCategory]) minimum = rule.os[osCategory];
+  });
+  return minimum;
+}
+
+/**
+ * Whether a browser version runs on an OS release: OS-bundled browsers only
+ * on the release with the same major, others from their minOs onwards.
+ * Frozen and non-numeric OS labels say nothing about the release.
+ */
+function supportsOsDetail(browserKey, releaseInfo, versionLabel, osCategory, osDetailLabel) {
+  if (!isNumericVersionLabel(osDetailLabel) || FROZEN_UA_OS_LABELS[osCategory]?.includes(osDetailLabel)) {
+    return true;
+  }
+  if (OS_BUNDLED_BROWSERS[browserKey] === osCategory) {
+    return parseInt(versionLabel, 10) === parseInt(osDetailLabel, 10);
+  }
+  const minimum = minimumOsVersion(releaseInfo, parseFloat(versionLabel), osCategory);
+  return !minimum || compareVersionLabels(osDetailLabel, minimum) >= 0;
+}
+
+function isReleasedBy(date, asOf) {
+  if (asOf === null || asOf === undefined) return true;
+  return Boolean(date) && Date.parse(date) <= asOf;
+}
+
+/**
+ * Whether an OS release label was out on `asOf` per os_releases.json.
+ * Non-numeric labels (distro names) always qualify; numeric labels the table
+ * does not date never do once a date is set.
+ */
+function isOsReleasedBy(osReleases, osCategory, label, asOf) {
+  const dates = osReleases?.releases?.[osCategory];
+  if (!dates || !isNumericVersionLabel(label)) return true;
+  return isReleasedBy(dates[label], asOf);
+}
+
+/**
+ * A full build of `major` released by `asOf`. OS-bundled browsers pass the OS
+ * release as `ceiling` and get the newest build that release shipped with.
+ */
+function sampleReleaseBuild(releaseInfo, major, rand, asOf = null, ceiling = null) {
+  const release = (releaseInfo?.releases || []).find(entry => entry.major === Number(major));
+  const builds = (release?.builds || []).filter(build => isReleasedBy(build.date, asOf));
+  if (ceiling) {
+    const shipped = builds.filter(build => compareVersionLabels(build.version, ceiling) <= 0);
+    return shipped.reduce(
+      (newest, build) => (!newest || compareVersionLabels(build.version, newest) > 0 ? build.version : newest),
+      null,
+    );
+  }
+  return pickRandom(builds, rand)?.version || null;
+}
+
+function candidateBrowserVersions(browserKey, distributions, constraints, osCategory) {
+  return filterVersionsByMinimum(
+    browserVersionEntries(browserKey, distributions, constraints.asOf, osCategory),
+    constraints.minVersion,
+  );
+}
+
+/**
+ * Sample a browser major (and a real full build when release data has one)
+ * that satisfies the minVersion/asOf constraints and runs on the sampled OS
+ * release, which sampleOsDetail only picks when such a version exists.
+ */
+function sampleBrowserVersion(browserKey, distributions, rand, constraints = NO_CONSTRAINTS, osCategory = null, osDetailLabel = null) {
+  const releaseInfo = distributions.browserReleases?.[browserKey];
+  const versions = candidateBrowserVersions(browserKey, distributions, constraints, osCategory)
+    .filter(entry => supportsOsDetail(browserKey, releaseInfo, entry.label, osCategory, osDetailLabel));
+  if (!versions.length) {
+    return { label: null, build: null };
   }
 
   const entry = sampleWeightedCategory(versions, null, rand);
-  if (!entry) return { label: null };
-  return { label: entry.label };
+  if (!entry) return { label: null, build: null };
+  const ceiling = OS_BUNDLED_BROWSERS[browserKey] === osCategory && isNumericVersionLabel(osDetailLabel)
+    ? osDetailLabel
+    : null;
+  // An OS-bundled build must also have shipped by the OS release itself.
+  const shippedBy = ceiling ? Date.parse(distributions.osReleases?.releases?.[osCategory]?.[ceiling]) : NaN;
+  const buildsAsOf = Number.isFinite(shippedBy) ? Math.min(shippedBy, constraints.asOf ?? Infinity) : constraints.asOf;
+  return {
+    label: entry.label,
+    build: sampleReleaseBuild(releaseInfo, entry.label, rand, buildsAsOf, ceiling),
+  };
 }
 
-function sampleOsDetail(osCategory, distributions, rand) {
-  const details = distributions.osDetails[osCategory];
-  if (!details || !details.length) {
+function osFileSegment(osCategory) {
+  const filename = OS_DETAIL_FILENAME_BY_CATEGORY[osCategory];
+  return filename ? filename.replace(/^os_|\.csv$/g, '') : String(osCategory).replace(/\W+/g, '_');
+}
+
+function browserFileSegment(browserKey) {
+  return String(browserKey).replace(/\s+/g, '_');
+}
+
+/**
+ * Entries of `table` conditioned on the sampled OS or browser when a matching
+ * <table>_given_*.csv exists (OS conditions first), otherwise `marginal`.
+ */
+function conditionalEntries(distributions, table, { osCategory = null, browserKey = null }, marginal) {
+  const tables = distributions.conditional?.[table];
+  if (!tables) return marginal;
+  return (osCategory && tables[`os_${osFileSegment(osCategory)}`])
+    || (browserKey && tables[`browser_${browserFileSegment(browserKey)}`])
+    || marginal;
+}
+
+/**
+ * OS release labels from os_releases.json out by `asOf`, newest first and
+ * weighted by recency like browserVersionEntries. Used for dates older than
+ * every release in the os_*.csv snapshot.
+ */
+function releasedOsEntries(osReleases, osCategory, asOf) {
+  const dates = osReleases?.releases?.[osCategory] || {};
+  return Object.keys(dates)
+    .filter(label => isReleasedBy(dates[label], asOf))
+    .sort((a, b) => Date.parse(dates[b]) - Date.parse(dates[a]))
+    .map((label, index) => ({ key: label, label, weight: RELEASE_RECENCY_DECAY ** index }));
+}
+
+/**
+ * OS releases the UA may show for a browser: entries of the os_*.csv snapshot
+ * out by the as-of date that run at least one candidate version of the
+ * browser, or, when the snapshot has none out yet, the matching releases of
+ * os_releases.json. Null when the OS has no release details at all.
+ */
+function osDetailEntries(osCategory, distributions, browserKey = null, constraints = NO_CONSTRAINTS) {
+  const details = conditionalEntries(
+    distributions,
+    `os_${osFileSegment(osCategory)}`,
+    { browserKey },
+    distributions.osDetails[osCategory],
+  );
+  if (!details || !details.length) return null;
+
+  const releaseInfo = distributions.browserReleases?.[browserKey];
+  const versions = browserKey ? candidateBrowserVersions(browserKey, distributions, constraints, osCategory) : [];
+  const runsBrowser = detail => !versions.length
+    || versions.some(version => supportsOsDetail(browserKey, releaseInfo, version.label, osCategory, detail.label));
+  const released = details.filter(detail => isOsReleasedBy(distributions.osReleases, osCategory, detail.label, constraints.asOf));
+  if (released.length || constraints.asOf === null || constraints.asOf === undefined) {
+    return released.filter(runsBrowser);
+  }
+  return releasedOsEntries(distributions.osReleases, osCategory, constraints.asOf).filter(runsBrowser);
+}
+
+/**
+ * Sample the OS release shown in the UA from osDetailEntries; throws when the
+ * OS has release details but none qualifies (resolveConstraints leaves such
+ * OS/browser pairs out up front).
+ */
+function sampleOsDetail(osCategory, distributions, rand, browserKey = null, constraints = NO_CONSTRAINTS) {
+  const usable = osDetailEntries(osCategory, distributions, browserKey, constraints);
+  if (usable === null) {
     return { label: null };
   }
+  if (!usable.length) {
+    const date = constraints.asOf !== null ? ` out by ${new Date(constraints.asOf).toISOString().slice(0, 10)}` : '';
+    throw new Error(`No ${osCategory} release${date} in the OS distributions runs a sampled version of ${browserKey}.`);
+  }
 
-  const entry = sampleWeightedCategory(details, null, rand);
+  const entry = sampleWeightedCategory(usable, null, rand);
   if (!entry) return { label: null };
   return { label: entry.label };
 }
@@ -996,7 +1644,7 @@ function replaceVersionToken(text, token, replacement) {
   return text;
 }
 
-function applyBrowserVersion(fingerprint, browserKey, versionLabel) {
+function applyBrowserVersion(fingerprint, browserKey, versionLabel, build = null) {
   if (!versionLabel || !fingerprint.navigator) return;
 
   const navigatorData = fingerprint.navigator;
@@ -1011,21 +1659,24 @@ function applyBrowserVersion(fingerprint, browserKey, versionLabel) {
     case 'edge':
       userAgent = replaceVersionToken(userAgent, 'Chrome', `${major}.0.0.0`);
       appVersion = replaceVersionToken(appVersion, 'Chrome', `${major}.0.0.0`);
+      // Chrome on iOS carries its version in the CriOS token instead.
+      userAgent = replaceVersionToken(userAgent, 'CriOS', `${major}.0.0.0`);
+      appVersion = replaceVersionToken(appVersion, 'CriOS', `${major}.0.0.0`);
       if (browserKey === 'edge') {
         userAgent = replaceVersionToken(userAgent, 'Edg', `${major}.0.0.0`);
       }
       break;
     case 'firefox':
-      userAgent = replaceVersionToken(userAgent, 'Firefox', `${major}.0`);
+      userAgent = replaceVersionToken(userAgent, 'Firefox', `${major}.0`).replace(/rv:\d+(?:\.\d+)*/, `rv:${major}.0`);
       appVersion = replaceVersionToken(appVersion, 'Firefox', `${major}.0`);
       break;
     case 'safari':
-      userAgent = replaceVersionToken(userAgent, 'Version', `${major}.0`);
-      appVersion = replaceVersionToken(appVersion, 'Version', `${major}.0`);
+      userAgent = replaceVersionToken(userAgent, 'Version', build || `${major}.0`);
+      appVersion = replaceVersionToken(appVersion, 'Version', build || `${major}.0`);
       break;
     case 'mobile safari':
-      userAgent = replaceVersionToken(userAgent, 'Version', `${major}`);
-      appVersion = replaceVersionToken(appVersion, 'Version', `${major}`);
+      userAgent = replaceVersionToken(userAgent, 'Version', build || `${major}`);
+      appVersion = replaceVersionToken(appVersion, 'Version', build || `${major}`);
       break;
     case 'gsa':
       userAgent = replaceVersionToken(userAgent, 'GSA', `${major}.0`);
@@ -1080,7 +1731,7 @@ function buildDefaultNavigator(osCategory, browserKey, languageSet, hardware, ra
   );
   const androidVersion = osDetailLabel ? osDetailLabel.replace(/_/g, '.') : sampleFromArray(null, ['13', '14', '12'], rand, '14');
   const iosDevice = sampleFromArray(null, IOS_DEVICES, rand, IOS_DEVICES[0]);
-  const androidDevice = sampleFromArray(null, ANDROID_DEVICES, rand, ANDROID_DEVICES[0]);
+  const androidDevice = hardware.model || sampleFromArray(null, ANDROID_DEVICES, rand, ANDROID_DEVICES[0]);
   const macVersion = osDetailLabel ? osDetailLabel.replace(/_/g, '_') : '10_15_7';
   const windowsVersion = osDetailLabel ? osDetailLabel.replace(/_/g, '.') : '10.0';
 
@@ -1135,7 +1786,13 @@ function buildDefaultNavigator(osCategory, browserKey, languageSet, hardware, ra
       }
       break;
     case 'opera':
-      userAgent = `Mozilla/5.0 (${osCategory === 'windows' ? `Windows NT ${windowsVersion}; Win64; x64` : 'X11; Linux x86_64'}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 OPR/120.0.0.0`;
+      if (osCategory === 'android') {
+        userAgent = `Mozilla/5.0 (Linux; Android ${androidVersion}; ${androidDevice}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36 OPR/80.0.0.0`;
+      } else if (osCategory === 'mac os') {
+        userAgent = `Mozilla/5.0 (Macintosh; Intel Mac OS X ${macVersion}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 OPR/120.0.0.0`;
+      } else {
+        userAgent = `Mozilla/5.0 (${osCategory === 'windows' ? `Windows NT ${windowsVersion}; Win64; x64` : 'X11; Linux x86_64'}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 OPR/120.0.0.0`;
+      }
       break;
     case 'gsa':
       userAgent = osCategory === 'android'
@@ -1185,6 +1842,7 @@ function buildNavigatorFromTemplate(template, overrides) {
           'deviceMemory',
           'maxTouchPoints',
           'doNotTrack',
+          'userAgentData',
         ].includes(key)
       ) {
         return;
@@ -1245,12 +1903,93 @@ function buildNavigatorFromTemplate(template, overrides) {
   return navigatorData;
 }
 
-function buildWebGL(aggregates, osCategory, rand) {
-  const candidates = aggregates.webglByOsCategory.get(osCategory)
-    || aggregates.webglByOsCategory.get('others');
+const SHADER_PRECISION_TYPES = {
+  LOW_FLOAT: ['lowFloat', 'float'],
+  MEDIUM_FLOAT: ['mediumFloat', 'float'],
+  HIGH_FLOAT: ['float'],
+  LOW_INT: ['lowInt', 'int'],
+  MEDIUM_INT: ['mediumInt', 'int'],
+  HIGH_INT: ['int'],
+};
+
+function fillGpuTemplate(template, gpu) {
+  return String(template || '').replace(/\{(\w+)\}/g, (match, field) => {
+    if (gpu[field] !== undefined) return gpu[field];
+    return field === 'glName' || field === 'glVendor' ? gpu[field === 'glName' ? 'name' : 'vendor'] : '';
+  });
+}
+
+function buildShaderPrecision(profile) {
+  if (!profile) return null;
+  const formats = {};
+  Object.entries(SHADER_PRECISION_TYPES).forEach(([type, keys]) => {
+    const key = keys.find(candidate => profile[candidate]);
+    formats[type] = key ? { ...profile[key] } : null;
+  });
+  return { VERTEX_SHADER: formats, FRAGMENT_SHADER: clone(formats) };
+}
+
+/**
+ * Full WebGL section from distribution_data/webgl_gpus.json. The backend
+ * (ANGLE D3D11, ANGLE Metal, Mesa GL, ...) is drawn by weight among those
+ * matching the OS and engine and supplies the strings, extensions and default
+ * limits; the GPU supplies the names and any limit overrides.
+ */
+function buildWebGLFromCatalog(catalog, osCategory, browserKey, rand, gpuName = null) {
+  const engine = browserEngine(browserKey, osCategory);
+  const backends = Object.entries(catalog?.backends || {})
+    .filter(([, backend]) => backend.os?.includes(osCategory) && backend.engines?.includes(engine))
+    .map(([id, backend]) => ({ key: id, label: id, weight: backend.weight || 1, backend }));
+  const gpus = (catalog?.gpus || [])
+    .filter(gpu => gpu.os?.includes(osCategory))
+    .map(gpu => ({ key: gpu.name, label: gpu.name, weight: gpu.weight || 1, gpu }));
+  if (!backends.length || !gpus.length) return null;
+
+  const { key: backendId, backend: baseBackend } = sampleWeightedCategory(backends, null, rand);
+  const backend = { ...baseBackend, ...(baseBackend.engineOverrides?.[engine] || {}) };
+  const pinned = gpuName ? gpus.filter(entry => entry.key === gpuName) : [];
+  const { gpu } = sampleWeightedCategory(pinned.length ? pinned : gpus, null, rand);
+  const parameters = clone({
+    ...backend.parameters,
+    ...(gpu.parameters || {}),
+    ...(gpu.backendParameters?.[backendId] || {}),
+  });
+  // No scene is rendered here: this is a stable stand-in per backend, GPU and
+  // driver, not the hash probe.js would capture.
+  const sceneHash = crypto
+    .createHash('sha256')
+    .update(`${backendId}|${gpu.name}|${gpu.driver || ''}`)
+    .digest('hex');
+
+  return {
+    supported: true,
+    vendor: fillGpuTemplate(backend.vendor, gpu),
+    renderer: fillGpuTemplate(backend.renderer, gpu),
+    glVendor: backend.glVendor,
+    glRenderer: backend.glRenderer,
+    version: backend.version,
+    shadingLanguageVersion: backend.shadingLanguageVersion,
+    extensions: [...(backend.extensions || [])],
+    webgl2Extensions: backend.webgl2Extensions ? [...backend.webgl2Extensions] : null,
+    parameters,
+    shaderPrecision: buildShaderPrecision(catalog.precision?.[backend.precision]),
+    sceneHash,
+  };
+}
+
+function buildWebGL(aggregates, catalog, osCategory, browserKey, rand, device = null) {
+  if (device?.webgl) return clone(device.webgl);
+  if (device?.gpu) {
+    const pinned = buildWebGLFromCatalog(catalog, osCategory, browserKey, rand, device.gpu);
+    if (pinned) return pinned;
+  }
+  const engine = browserEngine(browserKey, osCategory);
+  const candidates = aggregates.webglByOsEngine.get(`${osCategory}::${engine}`);
   if (candidates && candidates.length && rand() < 0.6) {
-    return { ...pickRandom(candidates, rand) };
+    return clone(pickRandom(candidates, rand));
   }
+  const profile = buildWebGLFromCatalog(catalog, osCategory, browserKey, rand);
+  if (profile) return profile;
   const fallback = WEBGL_CANDIDATES[osCategory];
   if (fallback && fallback.length) {
     return { ...pickRandom(fallback, rand) };
@@ -1258,27 +1997,112 @@ function buildWebGL(aggregates, osCategory, rand) {
   return { ...(DEFAULT_WEBGL[osCategory] || DEFAULT_WEBGL.others) };
 }
 
-function buildCanvas(aggregates, osCategory, rand) {
-  const candidates = aggregates.canvasByOsCategory.get(osCategory)
-    || aggregates.canvasByOsCategory.get('others')
-    || aggregates.canvasByOsCategory.get('mac os')
-    || aggregates.canvasByOsCategory.get('gnu/linux based');
-  if (candidates && candidates.length && rand() < 0.5) {
+/**
+ * Canvas data URL: half the time a decodable capture from the same OS,
+ * otherwise the test drawing rendered for the fingerprint's OS/engine/GPU.
+ */
+function buildCanvas(aggregates, osCategory, browserKey, webgl, rand) {
+  const candidates = (aggregates.canvasByOsCategory.get(osCategory) || []).filter(isDecodablePng);
+  if (candidates.length && rand() < 0.5) {
     return pickRandom(candidates, rand);
   }
-  return generateRandomCanvas(rand);
+  return renderCanvasFingerprint({
+    osCategory,
+    engine: browserEngine(browserKey, osCategory),
+    renderer: webgl?.renderer,
+  });
 }
 
-function buildAudio(aggregates, osCategory, rand) {
-  const candidates = aggregates.audioByOsCategory.get(osCategory)
-    || aggregates.audioByOsCategory.get('others');
-  const audio = candidates && candidates.length && rand() < 0.6
-    ? { ...pickRandom(candidates, rand) }
-    : { ...DEFAULT_AUDIO };
-  audio.sampleRate = sampleFromArray(null, AUDIO_SAMPLE_RATES, rand, audio.sampleRate || DEFAULT_AUDIO.sampleRate);
-  audio.state = sampleFromArray(null, AUDIO_STATES, rand, audio.state || DEFAULT_AUDIO.state);
-  audio.maxChannelCount = sampleFromArray(null, [1, 2, 2, 2, 6, 8], rand, audio.maxChannelCount || DEFAULT_AUDIO.maxChannelCount);
-  return audio;
+// Each audio profile observed in the local corpus counts as this much weight
+// next to the bundled cluster weights (which sum to ~100 per pair).
+const CORPUS_AUDIO_WEIGHT = 10;
+
+// Fields that come from the same device and build and are drawn together.
+const AUDIO_PROFILE_FIELDS = ['sampleRate', 'maxChannelCount', 'baseLatency', 'outputLatency'];
+
+function audioProfileKey(profile) {
+  return JSON.stringify([...AUDIO_PROFILE_FIELDS.map(field => profile[field] ?? null), profile.offlineRender?.sum ?? null]);
+}
+
+function sampleAudioProfile(clusterProfiles, observed, rand) {
+  const entries = (clusterProfiles || []).map(profile => ({
+    key: audioProfileKey(profile),
+    weight: profile.weight,
+    profile,
+  }));
+  observed.forEach(audio => {
+    const key = audioProfileKey(audio);
+    const existing = entries.find(entry => entry.key === key);
+    if (existing) {
+      existing.weight += CORPUS_AUDIO_WEIGHT;
+      // A captured buffer hash beats a bundled entry that has none.
+      if (!existing.profile.offlineRender?.hash && audio.offlineRender?.hash) {
+        existing.profile = { ...existing.profile, offlineRender: { ...audio.offlineRender } };
+      }
+    } else {
+      entries.push({ key, weight: CORPUS_AUDIO_WEIGHT, profile: audio });
+    }
+  });
+  const sample = sampleWeightedCategory(entries, null, rand);
+  return sample ? sample.profile : null;
+}
+
+function sampleAudioState(clusterStates, observed, rand) {
+  const entries = (clusterStates || []).map(entry => ({ key: entry.value, label: entry.value, weight: entry.weight }));
+  observed.forEach(state => {
+    const existing = entries.find(entry => entry.key === state);
+    if (existing) {
+      existing.weight += CORPUS_AUDIO_WEIGHT;
+    } else {
+      entries.push({ key: state, label: state, weight: CORPUS_AUDIO_WEIGHT });
+    }
+  });
+  const sample = sampleWeightedCategory(entries, null, rand);
+  return sample ? sample.key : undefined;
+}
+
+/**
+ * Audio values for the engine/OS pair from distribution_data/audio_clusters.json
+ * plus every audio section captured/imported for the same pair. Sample rate,
+ * channel count, latencies and the offline render come from one weighted
+ * profile so they stay consistent; the context state (an autoplay policy
+ * outcome) is drawn on its own. The offline render hash is the captured hash
+ * of the rendered buffer, or null where no capture of that buffer is bundled.
+ */
+function buildAudio(aggregates, clusters, osCategory, browserKey, rand) {
+  const engine = browserEngine(browserKey, osCategory);
+  const key = `${engine}::${osCategory}`;
+  const cluster = clusters?.[key];
+  const corpus = aggregates.audioByOsEngine.get(key) || [];
+  if (!cluster && !corpus.length) {
+    return { ...DEFAULT_AUDIO };
+  }
+
+  const profile = sampleAudioProfile(
+    cluster?.profiles,
+    corpus.filter(audio => audio.sampleRate !== undefined),
+    rand,
+  ) || {};
+  const state = sampleAudioState(
+    cluster?.state,
+    corpus.map(audio => audio.state).filter(Boolean),
+    rand,
+  );
+  const offlineRender = profile.offlineRender;
+  return {
+    supported: true,
+    sampleRate: profile.sampleRate ?? DEFAULT_AUDIO.sampleRate,
+    state: state ?? DEFAULT_AUDIO.state,
+    maxChannelCount: profile.maxChannelCount ?? DEFAULT_AUDIO.maxChannelCount,
+    channelCount: 2,
+    channelCountMode: 'explicit',
+    channelInterpretation: 'speakers',
+    baseLatency: profile.baseLatency ?? null,
+    outputLatency: profile.outputLatency ?? null,
+    offlineRender: typeof offlineRender?.sum === 'number'
+      ? { sum: offlineRender.sum, hash: offlineRender.hash ?? null }
+      : null,
+  };
 }
 
 function buildFeatures(aggregates, browserKey, osCategory, rand) {
@@ -1334,7 +2158,60 @@ function buildMimeTypes(aggregates, browserKey, osCategory, rand) {
   return randomSubset(library, rand, { min: 1, max: Math.min(5, library.length) });
 }
 
-function buildScreen(aggregates, osCategory, rand) {
+// A device captured into the local corpus counts as this much weight next to
+// the bundled catalog entries (whose weights sum to ~40-60 per OS).
+const CORPUS_DEVICE_WEIGHT = 5;
+
+/**
+ * One physical device for the OS, so GPU, core count, memory, touch points
+ * and screen/DPR come from the same machine: a popularity-weighted entry of
+ * distribution_data/devices.json released by `asOf`, resolved to concrete
+ * values, or a captured device for the same OS and engine. Returns null when
+ * neither exists.
+ */
+function sampleDevice(catalog, aggregates, osCategory, browserKey, rand, asOf = null) {
+  const engine = browserEngine(browserKey, osCategory);
+  const entries = (catalog?.[osCategory] || [])
+    .filter(device => isReleasedBy(device.released, asOf))
+    .map(device => ({ key: device.name, label: device.name, weight: device.weight || 1, device }));
+  // Captured devices carry no release date, so an as-of date leaves them out.
+  const captured = asOf === null ? aggregates.devicesByOsEngine.get(`${osCategory}::${engine}`) : null;
+  (captured || []).forEach(device => {
+    entries.push({ key: device.name, label: device.name, weight: CORPUS_DEVICE_WEIGHT, device });
+  });
+  const sample = sampleWeightedCategory(entries, null, rand);
+  if (!sample) return null;
+
+  const { device } = sample;
+  if (device.webgl) return clone(device);
+
+  const screens = (device.screens || [])
+    .map(screen => ({ key: `${screen.width}x${screen.height}@${screen.devicePixelRatio}`, label: '', weight: screen.weight, screen }));
+  const screen = sampleWeightedCategory(screens, null, rand)?.screen;
+  return {
+    name: device.name,
+    gpu: device.gpu || null,
+    model: device.model || null,
+    hardwareConcurrency: sampleWeightedValue(device.hardwareConcurrency, rand),
+    deviceMemory: sampleWeightedValue(device.deviceMemory, rand),
+    maxTouchPoints: sampleWeightedValue(device.maxTouchPoints, rand),
+    screen: screen
+      ? { width: screen.width, height: screen.height, devicePixelRatio: screen.devicePixelRatio }
+      : null,
+  };
+}
+
+function buildScreen(aggregates, osCategory, rand, device = null) {
+  if (device?.screen) {
+    const defaults = DEFAULT_SCREENS[osCategory] || DEFAULT_SCREENS.others;
+    const screen = { colorDepth: defaults.colorDepth, pixelDepth: defaults.pixelDepth, ...device.screen };
+    screen.availWidth = screen.availWidth ?? screen.width;
+    if (screen.availHeight === undefined) {
+      const reserved = MOBILE_OS.has(osCategory) ? randomInt(60, 140, rand) : randomInt(0, 120, rand);
+      screen.availHeight = Math.max(0, screen.height - reserved);
+    }
+    return screen;
+  }
   const candidates = aggregates.screensByOsCategory.get(osCategory);
   if (candidates && candidates.length && rand() < 0.6) {
     const sampled = { ...pickRandom(candidates, rand) };
@@ -1357,8 +2234,17 @@ function buildScreen(aggregates, osCategory, rand) {
   return screen;
 }
 
-function buildHardwareSamples(aggregates, osCategory, rand) {
+function buildHardwareSamples(aggregates, osCategory, rand, device = null) {
   const fallback = HARDWARE_FALLBACKS[osCategory] || HARDWARE_FALLBACKS.others;
+  if (device) {
+    return {
+      hardwareConcurrency: device.hardwareConcurrency ?? (MOBILE_OS.has(osCategory) ? 8 : 16),
+      deviceMemory: device.deviceMemory ?? null,
+      maxTouchPoints: device.maxTouchPoints ?? 0,
+      doNotTrack: sampleFromArray(aggregates.doNotTrackGlobal, fallback.doNotTrack, rand, null) ?? null,
+      model: device.model || null,
+    };
+  }
   const hardwareConcurrencyValue = sampleFromArray(
     aggregates.hardwareConcurrencyByOsCategory.get(osCategory),
     fallback.hardwareConcurrency,
@@ -1403,41 +2289,20 @@ function finalizeFingerprint(fingerprint, meta) {
 }
 
 function validateFingerprintConsistency(fingerprint, osCategory, browserKey) {
-  const warnings = [];
-  const navigatorData = fingerprint.navigator || {};
-  const ua = navigatorData.userAgent || '';
-  const platform = toLowerKey(navigatorData.platform);
-
-  if (osCategory === 'ios') {
-    if (!ua.includes('iPhone') && !ua.includes('iPad')) {
-      warnings.push('iOS fingerprint without iPhone/iPad in userAgent.');
-    }
-    if (!platform.includes('iphone') && !platform.includes('ipad')) {
-      warnings.push('iOS fingerprint with non-iOS navigator.platform.');
-    }
-    if ((navigatorData.maxTouchPoints || 0) < 1) {
-      warnings.push('iOS fingerprint missing touch support.');
-    }
-  }
-
-  if (osCategory === 'android') {
-    if (!ua.includes('Android')) {
-      warnings.push('Android fingerprint missing Android in userAgent.');
-    }
-    if ((navigatorData.maxTouchPoints || 0) < 1) {
-      warnings.push('Android fingerprint missing touch support.');
-    }
-  }
-
-  if (osCategory === 'windows' && !ua.includes('Windows')) {
-    warnings.push('Windows fingerprint missing Windows in userAgent.');
-  }
+  return validateFingerprint(fingerprint, {
+    osCategory,
+    browserKey,
+    compatibility: BROWSER_OS_COMPATIBILITY,
+  });
+}
 
-  if (browserKey === 'mobile safari' && !ua.includes('Mobile')) {
-    warnings.push('Mobile Safari fingerprint missing Mobile in userAgent.');
+function reportConsistencyIssues(label, issues) {
+  const warnings = issues
+    .filter(issue => issue.severity !== 'info')
+    .map(issue => `${issue.rule}: ${issue.message}`);
+  if (warnings.length) {
+    console.warn(`⚠️  ${label} fingerprint consistency warnings:`, warnings.join(' | '));
   }
-
-  return warnings;
 }
 
 function ensureNavigatorFields(navigatorData, languageSet, osCategory, browserKey) {
@@ -1456,6 +2321,296 @@ function ensureNavigatorFields(navigatorData, languageSet, osCategory, browserKe
   navigatorData.product = navigatorData.product || 'Gecko';
   navigatorData.productSub = navigatorData.productSub || '20030107';
   navigatorData.webdriver = false;
+
+  // Gecko and WebKit do not implement navigator.deviceMemory.
+  const engine = browserEngine(browserKey, osCategory);
+  if (engine === 'gecko' || engine === 'webkit') {
+    navigatorData.deviceMemory = null;
+  }
+}
+
+function greaseBrandList(seed, brand, version, greaseVersion) {
+  const list = [];
+  const order = GREASE_ORDERS[seed % GREASE_ORDERS.length];
+  list[order[0]] = {
+    brand: `Not${GREASE_CHARS[seed % GREASE_CHARS.length]}A${GREASE_CHARS[(seed + 1) % GREASE_CHARS.length]}Brand`,
+    version: greaseVersion,
+  };
+  list[order[1]] = { brand: 'Chromium', version: version.chromium };
+  list[order[2]] = { brand, version: version.brand };
+  return list;
+}
+
+function estimateFullVersion(major, anchorKey, rand) {
+  const anchor = CLIENT_HINT_BUILD_ANCHORS[anchorKey];
+  const build = Math.max(0, Math.round(anchor.build + (major - anchor.major) * anchor.perMajor));
+  return `${major}.0.${build}.${randomInt(0, 180, rand)}`;
+}
+
+/**
+ * platformVersion pool as of `asOf`, dated by os_releases.json. With `recent`
+ * the pool is the newest releases out by then, as many as the pool has
+ * values; otherwise the pool's values released by then.
+ */
+function releasedPlatformVersions(pool, osCategory, { asOf = null, osReleases = null } = {}, recent = false) {
+  const dates = osReleases?.platformVersions?.[osCategory];
+  if (asOf === null || asOf === undefined || !dates) return pool;
+  if (!recent) return pool.filter(version => isReleasedBy(dates[version], asOf));
+  return Object.keys(dates)
+    .filter(version => isReleasedBy(dates[version], asOf))
+    .sort((a, b) => Date.parse(dates[b]) - Date.parse(dates[a]))
+    .slice(0, new Set(pool).size);
+}
+
+function samplePlatformVersion(osCategory, osDetailLabel, rand, dating = {}) {
+  const detail = osDetailLabel ? String(osDetailLabel).replace(/_/g, '.') : null;
+  switch (osCategory) {
+    case 'windows':
+      return sampleFromArray(
+        releasedPlatformVersions(WINDOWS_PLATFORM_VERSIONS[detail] || [], osCategory, dating),
+        releasedPlatformVersions(WINDOWS_PLATFORM_VERSIONS[10], osCategory, dating),
+        rand,
+        '10.0.0',
+      );
+    case 'mac os':
+      if (detail && !detail.startsWith('10.15')) {
+        const parts = detail.split('.');
+        while (parts.length < 3) parts.push('0');
+        return parts.join('.');
+      }
+      return pickRandom(releasedPlatformVersions(MAC_PLATFORM_VERSIONS, osCategory, dating, true), rand) || '10.15.7';
+    case 'android': {
+      const major = parseInt(detail, 10);
+      return Number.isFinite(major) ? `${major}.0.0` : '14.0.0';
+    }
+    case 'gnu/linux based':
+      return pickRandom(releasedPlatformVersions(LINUX_PLATFORM_VERSIONS, osCategory, dating, true), rand) || '';
+    default:
+      return '';
+  }
+}
+
+function extractAndroidModel(userAgent) {
+  const match = /Android [^;)]+; ([^;)]+)\)/.exec(userAgent || '');
+  if (!match || match[1].trim() === 'K') return '';
+  return match[1].replace(/ Build\/.*$/, '').trim();
+}
+
+/**
+ * Synthesize navigator.userAgentData for Chromium-based browsers so brands,
+ * platform and high-entropy values agree with the final userAgent, OS detail
+ * and GPU. Returns null for Gecko/WebKit and Chromium before 90, which do
+ * not implement it. Full versions come from browser_releases.json when it
+ * lists the major.
+ */
+function buildUserAgentData(
+  fingerprint,
+  osCategory,
+  browserKey,
+  osDetailLabel,
+  rand,
+  { releases = null, build = null, asOf = null, osReleases = null } = {},
+) {
+  const userAgent = fingerprint.navigator?.userAgent || '';
+  const platform = CLIENT_HINT_PLATFORMS[osCategory];
+  const chromiumMatch = /Chrome\/(\d+)/.exec(userAgent);
+  if (browserEngine(browserKey, osCategory) !== 'blink' || !platform || !chromiumMatch) {
+    return null;
+  }
+  if (Number(chromiumMatch[1]) < CLIENT_HINTS_MIN_MAJOR) return null;
+
+  const chromiumMajor = Number(chromiumMatch[1]);
+  const token = CLIENT_HINT_VERSION_TOKENS[browserKey];
+  const tokenMatch = token ? new RegExp(`${token}\\/(\\d+)`).exec(userAgent) : null;
+  const brandMajor = tokenMatch ? Number(tokenMatch[1]) : chromiumMajor;
+  const brand = CLIENT_HINT_BRANDS[browserKey] || 'Google Chrome';
+
+  // Prefer the build sampled with the version, then any real build of that major.
+  const sampledBuild = build && String(build).startsWith(`${brandMajor}.`) ? build : null;
+  const chromiumFull = (browserKey === 'chrome' && sampledBuild)
+    || sampleReleaseBuild(releases?.chrome, chromiumMajor, rand, asOf)
+    || estimateFullVersion(chromiumMajor, 'chromium', rand);
+  let brandFull = chromiumFull;
+  if (browserKey === 'edge') {
+    brandFull = sampledBuild
+      || sampleReleaseBuild(releases?.edge, brandMajor, rand, asOf)
+      || estimateFullVersion(brandMajor, 'edge', rand);
+  } else if (tokenMatch) {
+    brandFull = `${brandMajor}.0.0.0`;
+  }
+
+  const greaseVersion = GREASE_VERSIONS[chromiumMajor % GREASE_VERSIONS.length];
+  const brands = greaseBrandList(
+    chromiumMajor,
+    brand,
+    { chromium: String(chromiumMajor), brand: String(brandMajor) },
+    greaseVersion,
+  );
+  const fullVersionList = greaseBrandList(
+    chromiumMajor,
+    brand,
+    { chromium: chromiumFull, brand: brandFull },
+    `${greaseVersion}.0.0.0`,
+  );
+
+  const mobile = osCategory === 'android';
+  const renderer = `${fingerprint.webgl?.renderer || ''} ${fingerprint.webgl?.vendor || ''}`;
+  let architecture = 'x86';
+  if (mobile) {
+    architecture = '';
+  } else if (osCategory === 'mac os' && /apple m\d|apple gpu/i.test(renderer)) {
+    architecture = 'arm';
+  }
+
+  return {
+    brands,
+    mobile,
+    platform,
+    highEntropy: {
+      architecture,
+      bitness: mobile ? '' : '64',
+      model: mobile ? extractAndroidModel(userAgent) : '',
+      platformVersion: samplePlatformVersion(osCategory, osDetailLabel, rand, { asOf, osReleases }),
+      uaFullVersion: brandFull,
+      fullVersionList,
+      wow64: false,
+    },
+  };
+}
+
+function compareVersionLabels(a, b) {
+  const left = String(a).split(/[._]/).map(Number);
+  const right = String(b).split(/[._]/).map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i += 1) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+function isNumericVersionLabel(label) {
+  return /^\d+([._]\d+)*$/.test(String(label || ''));
+}
+
+/**
+ * OS release that decides the `since` font sets. The UA label is frozen on
+ * Windows ("10" for 10 and 11) and macOS (10_15_7), so the real release comes
+ * from platformVersion: the one in userAgentData, or a fresh sample for
+ * browsers without client hints.
+ */
+function fontOsVersion(osCategory, osDetailLabel, userAgentData, rand, dating) {
+  if (osCategory !== 'windows' && osCategory !== 'mac os') return osDetailLabel;
+  const platformVersion = userAgentData?.highEntropy?.platformVersion
+    || samplePlatformVersion(osCategory, osDetailLabel, rand, dating);
+  const major = parseInt(platformVersion, 10);
+  if (!Number.isFinite(major)) return osDetailLabel;
+  if (osCategory === 'windows') {
+    return major >= 13 ? '11' : osDetailLabel;
+  }
+  return platformVersion.replace(/(\.0)+$/, '');
+}
+
+/**
+ * Installed font list for an OS/version from distribution_data/fonts.json:
+ * the OS core set, fonts added by each release up to the real OS version
+ * (`since`), distro/variant extras, and optional bundles (Office, Adobe, ...)
+ * drawn by probability.
+ */
+function buildFonts(fontSets, osCategory, osDetailLabel, rand, userAgentData = null, dating = {}) {
+  const fontSet = fontSets?.[osCategory] || fontSets?.others;
+  if (!fontSet) return null;
+
+  const fonts = new Set(fontSet.core || []);
+  const osVersion = fontOsVersion(osCategory, osDetailLabel, userAgentData, rand, dating);
+  const hasVersion = isNumericVersionLabel(osVersion);
+  Object.entries(fontSet.since || {}).forEach(([version, list]) => {
+    // Unknown versions get the newest sets, matching the default UA versions.
+    if (!hasVersion || compareVersionLabels(osVersion, version) >= 0) {
+      list.forEach(font => fonts.add(font));
+    }
+  });
+  const variant = fontSet.variants?.[String(osDetailLabel || '').toLowerCase()];
+  (variant || []).forEach(font => fonts.add(font));
+  (fontSet.optional || []).forEach(bundle => {
+    if (randomBool(bundle.probability || 0, rand)) {
+      (bundle.fonts || []).forEach(font => fonts.add(font));
+    }
+  });
+
+  return [...fonts].sort((a, b) => a.localeCompare(b));
+}
+
+function codecSupport(profiles, engine, osCategory) {
+  const codecs = {};
+  const overrides = profiles.codecOverrides?.[`${engine}::${osCategory}`] || {};
+  (profiles.codecMatrix || []).forEach(type => {
+    codecs[type] = {
+      canPlayType: '',
+      mediaSource: false,
+      ...(profiles.codecs?.[engine]?.[type] || {}),
+      ...(overrides['*'] || {}),
+      ...(overrides[type] || {}),
+    };
+  });
+  return codecs;
+}
+
+function buildSpeechVoices(profiles, osCategory, browserKey, languages, rand) {
+  const osVoices = profiles.voices?.[osCategory];
+  if (!osVoices) return [];
+
+  const voices = [...(osVoices.base || [])];
+  // Windows only ships voices for the display languages the user installed.
+  const primary = toLowerKey(String(languages?.[0] || 'en').split('-')[0]);
+  const languageVoices = osVoices.byLanguage?.[primary];
+  if (languageVoices && randomBool(0.8, rand)) {
+    voices.push(...languageVoices);
+  }
+  const extras = profiles.browserVoices?.[browserKey];
+  if (extras && !(extras.desktopOnly && MOBILE_OS.has(osCategory))) {
+    voices.push(...extras.voices);
+  }
+  return voices.map(voice => ({ name: voice.name, lang: voice.lang }));
+}
+
+/**
+ * Media section for the engine/OS pair from distribution_data/media_profiles.json:
+ * canPlayType/MSE answers for the shared codec matrix, decodingInfo results
+ * that follow codec support (powerEfficient drawn per config and OS), device
+ * counts as exposed before a permission grant, and speech synthesis voices.
+ */
+function buildMedia(profiles, osCategory, browserKey, languages, rand) {
+  if (!profiles?.codecMatrix) return null;
+  const engine = browserEngine(browserKey, osCategory);
+
+  const codecs = codecSupport(profiles, engine, osCategory);
+  const decodingInfo = {};
+  Object.entries(profiles.decodingConfigs || {}).forEach(([label, config]) => {
+    const supported = (codecs[config.contentType]?.canPlayType || '') !== '';
+    const efficiency = profiles.powerEfficient?.[label] || {};
+    const probability = efficiency[osCategory] ?? efficiency.default ?? 0;
+    decodingInfo[label] = {
+      supported,
+      smooth: supported,
+      powerEfficient: supported && randomBool(probability, rand),
+    };
+  });
+
+  const deviceProfile = {
+    ...(profiles.devices?.[engine] || {}),
+    ...(profiles.deviceOverrides?.[osCategory] || {}),
+  };
+  const devices = {};
+  ['audioinput', 'audiooutput', 'videoinput'].forEach(kind => {
+    devices[kind] = sampleWeightedValue(deviceProfile[kind], rand, 0);
+  });
+
+  return {
+    codecs,
+    decodingInfo,
+    devices,
+    voices: buildSpeechVoices(profiles, osCategory, browserKey, languages, rand),
+  };
 }
 
 function ensureFeatureFlags(fingerprint, osCategory) {
@@ -1466,31 +2621,213 @@ function ensureFeatureFlags(fingerprint, osCategory) {
   }
   fingerprint.features.webgl = fingerprint.webgl?.supported ?? fingerprint.features.webgl ?? true;
   fingerprint.features.webgl2 = fingerprint.features.webgl2 ?? fingerprint.features.webgl;
+  if (fingerprint.features.webgl2 === false && fingerprint.webgl?.webgl2Extensions) {
+    fingerprint.webgl.webgl2Extensions = null;
+  }
 }
 
+/**
+ * Load the distributions plus the captured corpus. Seeded mode needs at least
+ * one captured fingerprint; pure mode treats the corpus as optional enrichment
+ * and, with `noCorpus`, never reads it at all.
+ */
 function buildBaseContext(options) {
+  const mode = options.mode || 'pure';
+  if (options.noCorpus && mode === 'seeded') {
+    return Promise.reject(new Error('Seeded mode needs captured fingerprints and cannot run with --no-corpus.'));
+  }
+
+  const aggregatesPromise = options.noCorpus
+    ? Promise.resolve(buildAggregates([]))
+    : loadSourceFingerprints({ includeSynthetic: options.includeSynthetic, required: mode === 'seeded' });
+
   return Promise.all([
-    loadSourceFingerprints({ includeSynthetic: options.includeSynthetic }),
+    aggregatesPromise,
     ensureDistributions(),
   ]).then(([aggregates, distributions]) => ({ aggregates, distributions }));
 }
 
-function sampleOsCategory(distributions, rand, mode, aggregates) {
-  if (mode === 'seeded') {
-    const entry = sampleWeightedCategory(distributions.os, aggregates.supportedOsCategories, rand);
-    return entry ? entry.key : pickRandom([...aggregates.supportedOsCategories], rand) || 'unknown';
+function intersectSets(base, restriction) {
+  if (!restriction) return new Set(base);
+  return new Set([...base].filter(value => restriction.has(value)));
+}
+
+function describeKeys(keys) {
+  return [...keys].join(', ');
+}
+
+function normalizeConstraintKeys(value, aliases, knownKeys, label) {
+  if (value === undefined || value === null || value === '') return null;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const keys = new Set();
+  for (const item of list) {
+    const raw = toLowerKey(String(item), '');
+    if (!raw) continue;
+    const key = aliases[raw] || aliases[raw.replace(/\s+/g, '-')] || raw;
+    if (!knownKeys.includes(key)) {
+      throw new Error(`Unknown ${label} constraint "${item}". Expected one of: ${knownKeys.join(', ')}.`);
+    }
+    keys.add(key);
   }
+  return keys.size ? keys : null;
+}
 
-  const entry = sampleWeightedCategory(distributions.os, null, rand);
-  return entry ? entry.key : pickRandom(distributions.os, rand)?.key || 'unknown';
+function normalizeLanguageConstraint(value) {
+  if (!value) return null;
+  const parts = String(value).trim().replace(/_/g, '-').split('-').filter(Boolean);
+  if (!parts.length || !/^[a-z]{2,3}$/i.test(parts[0])) {
+    throw new Error(`Invalid language constraint "${value}". Expected a code such as "de" or "de-DE".`);
+  }
+  const code = parts[0].toLowerCase();
+  if (!LANGUAGE_NAMES.of(code)) {
+    throw new Error(`Unknown language "${code}" in language constraint "${value}".`);
+  }
+  if (parts.length === 1) return { code, tag: null };
+  const subtags = parts.slice(1).map(part => {
+    if (part.length === 2) return part.toUpperCase();
+    if (part.length === 4) return part[0].toUpperCase() + part.slice(1).toLowerCase();
+    return part;
+  });
+  return { code, tag: [code, ...subtags].join('-') };
 }
 
-function sampleBrowser(distributions, rand, osCategory, aggregates, mode) {
+function normalizeTimezoneConstraint(value, distributions) {
+  if (!value) return null;
+  const match = /^UTC([+-])(\d{1,2})(?::?(\d{2}))?$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid timezone constraint "${value}". Expected a label such as "UTC+01:00".`);
+  }
+  const label = `UTC${match[1]}${match[2].padStart(2, '0')}:${match[3] || '00'}`;
+  const offset = timezoneLabelToOffset(label);
+  const known = distributions.timezone.find(entry => timezoneLabelToOffset(entry.label) === offset);
+  return known ? known.label : label;
+}
+
+/**
+ * Normalize user-facing constraints ({ os, browser, minVersion, asOf,
+ * language, timezone }) into key sets used by the samplers. Throws when the
+ * constraints cannot be satisfied by BROWSER_OS_COMPATIBILITY or the
+ * version distributions.
+ */
+function resolveConstraints(constraints, distributions) {
+  if (!constraints) return NO_CONSTRAINTS;
+
+  let osKeys = normalizeConstraintKeys(constraints.os, OS_ALIASES, Object.keys(DEFAULT_PLATFORMS), 'OS');
+  let browserKeys = normalizeConstraintKeys(
+    constraints.browser,
+    BROWSER_ALIASES,
+    Object.keys(BROWSER_OS_COMPATIBILITY),
+    'browser',
+  );
+
+  let asOf = null;
+  if (constraints.asOf !== undefined && constraints.asOf !== null && constraints.asOf !== '') {
+    asOf = parseTimestamp(constraints.asOf).getTime();
+  }
+
+  let minVersion = null;
+  if (constraints.minVersion !== undefined && constraints.minVersion !== null && constraints.minVersion !== '') {
+    minVersion = Number(constraints.minVersion);
+    if (!Number.isFinite(minVersion)) {
+      throw new Error(`Invalid minimum version "${constraints.minVersion}". Expected a number.`);
+    }
+  }
+
+  if (minVersion !== null || asOf !== null) {
+    const candidates = browserKeys ? [...browserKeys] : Object.keys(BROWSER_OS_COMPATIBILITY);
+    const withVersion = candidates.filter(
+      browserKey => filterVersionsByMinimum(browserVersionEntries(browserKey, distributions, asOf), minVersion).length,
+    );
+    if (!withVersion.length) {
+      const subject = browserKeys ? describeKeys(browserKeys) : 'any browser';
+      const versions = minVersion !== null ? `versions >= ${minVersion}` : 'versions';
+      const date = asOf !== null ? ` current on ${new Date(asOf).toISOString().slice(0, 10)}` : '';
+      const source = asOf !== null ? 'browser_releases.json' : 'the browser version distributions';
+      throw new Error(`No ${versions}${date} for ${subject} in ${source}.`);
+    }
+    browserKeys = new Set(withVersion);
+  }
+
+  if (browserKeys) {
+    const compatibleOs = new Set();
+    browserKeys.forEach(browserKey => {
+      BROWSER_OS_COMPATIBILITY[browserKey].forEach(osKey => compatibleOs.add(osKey));
+    });
+    const combined = intersectSets(compatibleOs, osKeys);
+    if (!combined.size) {
+      throw new Error(
+        `Constraints contradict BROWSER_OS_COMPATIBILITY: ${describeKeys(browserKeys)} cannot run on ${describeKeys(osKeys)}.`,
+      );
+    }
+    osKeys = combined;
+  }
+
+  // Version limits can leave an OS with no release that runs any remaining
+  // browser; keep only the OS/browser pairs that still have one, so sampling
+  // never lands on a pair it cannot complete.
+  let browsersByOs = null;
+  if (minVersion !== null || asOf !== null) {
+    const versionLimits = { browserKeys, minVersion, asOf };
+    browsersByOs = new Map();
+    (osKeys ? [...osKeys] : Object.keys(DEFAULT_PLATFORMS)).forEach(osCategory => {
+      const browsers = [...compatibleBrowsersForOs(osCategory, versionLimits)].filter(browserKey => {
+        const details = osDetailEntries(osCategory, distributions, browserKey, versionLimits);
+        return details === null || details.length > 0;
+      });
+      if (browsers.length) browsersByOs.set(osCategory, new Set(browsers));
+    });
+    if (!browsersByOs.size) {
+      const subject = browserKeys ? describeKeys(browserKeys) : 'any browser';
+      const date = asOf !== null ? ` out by ${new Date(asOf).toISOString().slice(0, 10)}` : '';
+      throw new Error(`No ${osKeys ? describeKeys(osKeys) : 'OS'} release${date} runs a version of ${subject} the constraints allow.`);
+    }
+    osKeys = new Set(browsersByOs.keys());
+  }
+
+  return {
+    osKeys,
+    browserKeys,
+    browsersByOs,
+    minVersion,
+    asOf,
+    language: normalizeLanguageConstraint(constraints.language),
+    timezone: normalizeTimezoneConstraint(constraints.timezone, distributions),
+  };
+}
+
+function compatibleBrowsersForOs(osCategory, constraints) {
   const compatibilitySet = new Set(
     [...(Object.entries(BROWSER_OS_COMPATIBILITY))]
       .filter(([, osSet]) => osSet.has(osCategory))
       .map(([browserKey]) => browserKey),
   );
+  return intersectSets(intersectSets(compatibilitySet, constraints.browserKeys), constraints.browsersByOs?.get(osCategory));
+}
+
+function sampleOsCategory(distributions, rand, mode, aggregates, constraints = NO_CONSTRAINTS) {
+  if (mode === 'seeded') {
+    let allowed = intersectSets(aggregates.supportedOsCategories, constraints.osKeys);
+    if (constraints.browserKeys) {
+      allowed = new Set([...allowed].filter(osCategory => {
+        const captured = aggregates.browsersByOsCategory.get(osCategory) || new Set();
+        return [...compatibleBrowsersForOs(osCategory, constraints)].some(browserKey => captured.has(browserKey));
+      }));
+    }
+    if (!allowed.size) {
+      throw new Error('No captured fingerprints match the requested OS/browser constraints.');
+    }
+    const entry = sampleWeightedCategory(distributions.os, allowed, rand);
+    return entry ? entry.key : pickRandom([...allowed], rand) || 'unknown';
+  }
+
+  const entry = sampleWeightedCategory(distributions.os, constraints.osKeys, rand);
+  if (entry) return entry.key;
+  if (constraints.osKeys) return pickRandom([...constraints.osKeys], rand);
+  return pickRandom(distributions.os, rand)?.key || 'unknown';
+}
+
+function sampleBrowser(distributions, rand, osCategory, aggregates, mode, constraints = NO_CONSTRAINTS) {
+  const compatibilitySet = compatibleBrowsersForOs(osCategory, constraints);
 
   let allowedSet;
   if (mode === 'seeded') {
@@ -1500,7 +2837,13 @@ function sampleBrowser(distributions, rand, osCategory, aggregates, mode) {
     allowedSet = compatibilitySet;
   }
 
-  const entry = sampleWeightedCategory(distributions.browser, allowedSet, rand);
+  if (constraints.browserKeys && !allowedSet.size) {
+    throw new Error(`No browser satisfies the constraints on ${osCategory}.`);
+  }
+
+  const browserWeights = conditionalEntries(distributions, 'browser', { osCategory }, distributions.browser);
+  const entry = sampleWeightedCategory(browserWeights, allowedSet, rand)
+    || sampleWeightedCategory(distributions.browser, allowedSet, rand);
   if (entry) return entry.key;
   const fallback = pickRandom([...allowedSet], rand);
   if (fallback) return fallback;
@@ -1519,13 +2862,41 @@ function selectSeededPool(aggregates, osCategory, browserKey) {
   return pool;
 }
 
-function createSeededFingerprint(baseRecord, aggregates, distributions, rand, timestamp, osCategory, browserKey) {
-  const languageSample = sampleLanguageSet(aggregates, distributions, rand);
-  const timezoneSample = sampleTimezoneObject(aggregates, distributions, rand, osCategory);
-  const browserVersionSample = sampleBrowserVersion(browserKey, distributions, rand);
-  const osDetailSample = sampleOsDetail(osCategory, distributions, rand);
+function createSeededFingerprint(
+  baseRecord,
+  aggregates,
+  distributions,
+  rand,
+  timestamp,
+  osCategory,
+  browserKey,
+  constraints = NO_CONSTRAINTS,
+  alignTimestamp = false,
+) {
+  const osDetailSample = sampleOsDetail(osCategory, distributions, rand, browserKey, constraints);
+  const browserVersionSample = sampleBrowserVersion(
+    browserKey,
+    distributions,
+    rand,
+    constraints,
+    osCategory,
+    osDetailSample.label,
+  );
+  if (alignTimestamp) {
+    timestamp = alignTimestampToRelease(timestamp, distributions.browserReleases?.[browserKey], browserVersionSample, rand);
+  }
+  const { country, languageSample, timezoneSample } = sampleLocale(
+    aggregates,
+    distributions,
+    rand,
+    osCategory,
+    constraints,
+    new Date(timestamp),
+  );
 
   const synthetic = clone(baseRecord.fingerprint) || {};
+  // Automation signals describe the capture launch, not the device.
+  delete synthetic.automationSignals;
   const platformKey = toLowerKey(synthetic.navigator?.platform);
 
   if (synthetic.navigator) {
@@ -1587,7 +2958,7 @@ function createSeededFingerprint(baseRecord, aggregates, distributions, rand, ti
   synthetic.source = 'synthetic';
   synthetic.capturedFrom = 'fingerprint-generator';
   synthetic.generatedAt = timestamp;
-  synthetic.syntheticId = crypto.randomBytes(8).toString('hex');
+  synthetic.syntheticId = randomBytes(8, rand).toString('hex');
   synthetic.browserName = synthetic.browserName || browserKey;
 
   synthetic.sourceMetadata = {
@@ -1599,21 +2970,47 @@ function createSeededFingerprint(baseRecord, aggregates, distributions, rand, ti
     sampledOsCategory: osCategory,
     sampledOsDetail: osDetailSample.label || null,
     sampledBrowserVersion: browserVersionSample.label || null,
+    sampledBrowserBuild: browserVersionSample.build || null,
+    versionsAsOf: constraints.asOf !== null ? new Date(constraints.asOf).toISOString().slice(0, 10) : null,
     sampledLanguageCode: languageSample.code || null,
     sampledTimezoneLabel: timezoneSample.label || null,
+    sampledCountry: country,
     generationMode: 'seeded',
   };
 
   applyOsDetail(synthetic, osCategory, osDetailSample.label);
-  applyBrowserVersion(synthetic, browserKey, browserVersionSample.label);
+  applyBrowserVersion(synthetic, browserKey, browserVersionSample.label, browserVersionSample.build);
+  synthetic.navigator.userAgentData = buildUserAgentData(synthetic, osCategory, browserKey, osDetailSample.label, rand, {
+    releases: distributions.browserReleases,
+    build: browserVersionSample.build,
+    asOf: constraints.asOf,
+    osReleases: distributions.osReleases,
+  });
 
   ensureNavigatorFields(synthetic.navigator, languageSample.languages, osCategory, browserKey);
   ensureFeatureFlags(synthetic, osCategory);
-
-  const warnings = validateFingerprintConsistency(synthetic, osCategory, browserKey);
-  if (warnings.length) {
-    console.warn('⚠️  Seeded fingerprint consistency warnings:', warnings.join(' | '));
+  synthetic.headers = buildRequestHeaders(synthetic, browserEngine(browserKey, osCategory));
+  // Captured font lists and media sections are real; only model them for bases that lack them.
+  if (!Array.isArray(synthetic.fonts)) {
+    synthetic.fonts = buildFonts(distributions.fontSets, osCategory, osDetailSample.label, rand, synthetic.navigator.userAgentData, {
+      asOf: constraints.asOf,
+      osReleases: distributions.osReleases,
+    });
   }
+  if (!synthetic.media) {
+    synthetic.media = buildMedia(distributions.mediaProfiles, osCategory, browserKey, synthetic.navigator.languages, rand);
+  }
+  if (!isDecodablePng(synthetic.canvas)) {
+    synthetic.canvas = renderCanvasFingerprint({
+      osCategory,
+      engine: browserEngine(browserKey, osCategory),
+      renderer: synthetic.webgl?.renderer,
+    });
+  }
+  synthetic.canvasHash = canvasHash(synthetic.canvas);
+
+  const issues = validateFingerprintConsistency(synthetic, osCategory, browserKey);
+  reportConsistencyIssues('Seeded', issues);
 
   synthetic.sourceMetadata.seed = null;
 
@@ -1626,22 +3023,41 @@ function createSeededFingerprint(baseRecord, aggregates, distributions, rand, ti
       timezoneSample,
       browserVersionSample,
       osDetailSample,
+      issues,
     },
   };
 }
 
 function createPureFingerprint(context, options, rand, timestamp) {
   const { aggregates, distributions } = context;
+  const constraints = resolveConstraints(options.constraints, distributions);
 
-  const osCategory = sampleOsCategory(distributions, rand, 'pure', aggregates);
-  const browserKey = sampleBrowser(distributions, rand, osCategory, aggregates, 'pure');
+  const osCategory = sampleOsCategory(distributions, rand, 'pure', aggregates, constraints);
+  const browserKey = sampleBrowser(distributions, rand, osCategory, aggregates, 'pure', constraints);
 
-  const languageSample = sampleLanguageSet(aggregates, distributions, rand);
-  const timezoneSample = sampleTimezoneObject(aggregates, distributions, rand, osCategory);
-  const browserVersionSample = sampleBrowserVersion(browserKey, distributions, rand);
-  const osDetailSample = sampleOsDetail(osCategory, distributions, rand);
+  const osDetailSample = sampleOsDetail(osCategory, distributions, rand, browserKey, constraints);
+  const browserVersionSample = sampleBrowserVersion(
+    browserKey,
+    distributions,
+    rand,
+    constraints,
+    osCategory,
+    osDetailSample.label,
+  );
+  if (timestampFollowsVersion(options)) {
+    timestamp = alignTimestampToRelease(timestamp, distributions.browserReleases?.[browserKey], browserVersionSample, rand);
+  }
+  const { country, languageSample, timezoneSample } = sampleLocale(
+    aggregates,
+    distributions,
+    rand,
+    osCategory,
+    constraints,
+    new Date(timestamp),
+  );
 
-  const hardware = buildHardwareSamples(aggregates, osCategory, rand);
+  const device = sampleDevice(distributions.deviceCatalog, aggregates, osCategory, browserKey, rand, constraints.asOf);
+  const hardware = buildHardwareSamples(aggregates, osCategory, rand, device);
 
   const platformCandidates = aggregates.platformsByOsCategory.get(osCategory);
   const platform = sampleFromArray(
@@ -1673,12 +3089,14 @@ function createPureFingerprint(context, options, rand, timestamp) {
   ensureNavigatorFields(navigatorData, languageSample.languages, osCategory, browserKey);
 
   const fingerprint = {
+    schemaVersion: SCHEMA_VERSION,
     navigator: navigatorData,
-    screen: buildScreen(aggregates, osCategory, rand),
+    screen: buildScreen(aggregates, osCategory, rand, device),
     timezone: { ...timezoneSample.timezone },
-    webgl: buildWebGL(aggregates, osCategory, rand),
-    canvas: buildCanvas(aggregates, osCategory, rand),
-    audio: buildAudio(aggregates, osCategory, rand),
+    webgl: buildWebGL(aggregates, distributions.webglCatalog, osCategory, browserKey, rand, device),
+    canvas: null,
+    canvasHash: null,
+    audio: buildAudio(aggregates, distributions.audioClusters, osCategory, browserKey, rand),
     plugins: buildPlugins(aggregates, browserKey, osCategory, rand),
     mimeTypes: buildMimeTypes(aggregates, browserKey, osCategory, rand),
     features: buildFeatures(aggregates, browserKey, osCategory, rand),
@@ -1687,7 +3105,7 @@ function createPureFingerprint(context, options, rand, timestamp) {
     synthetic: true,
     capturedFrom: 'fingerprint-generator',
     generatedAt: timestamp,
-    syntheticId: crypto.randomBytes(8).toString('hex'),
+    syntheticId: randomBytes(8, rand).toString('hex'),
     sourceMetadata: {
       generator: 'generate-fingerprint.js',
       baseFilename: null,
@@ -1696,36 +3114,53 @@ function createPureFingerprint(context, options, rand, timestamp) {
       sampledOsCategory: osCategory,
       sampledOsDetail: osDetailSample.label || null,
       sampledBrowserVersion: browserVersionSample.label || null,
+      sampledBrowserBuild: browserVersionSample.build || null,
+      versionsAsOf: constraints.asOf !== null ? new Date(constraints.asOf).toISOString().slice(0, 10) : null,
       sampledLanguageCode: languageSample.code || null,
       sampledTimezoneLabel: timezoneSample.label || null,
+      sampledCountry: country,
+      sampledDevice: device?.name || null,
       generationMode: 'pure',
     },
   };
 
   applyOsDetail(fingerprint, osCategory, osDetailSample.label);
-  applyBrowserVersion(fingerprint, browserKey, browserVersionSample.label);
+  applyBrowserVersion(fingerprint, browserKey, browserVersionSample.label, browserVersionSample.build);
+  fingerprint.navigator.userAgentData = buildUserAgentData(fingerprint, osCategory, browserKey, osDetailSample.label, rand, {
+    releases: distributions.browserReleases,
+    build: browserVersionSample.build,
+    asOf: constraints.asOf,
+    osReleases: distributions.osReleases,
+  });
   ensureFeatureFlags(fingerprint, osCategory);
+  fingerprint.headers = buildRequestHeaders(fingerprint, browserEngine(browserKey, osCategory));
+  fingerprint.fonts = buildFonts(distributions.fontSets, osCategory, osDetailSample.label, rand, fingerprint.navigator.userAgentData, {
+    asOf: constraints.asOf,
+    osReleases: distributions.osReleases,
+  });
+  fingerprint.media = buildMedia(distributions.mediaProfiles, osCategory, browserKey, fingerprint.navigator.languages, rand);
+  fingerprint.canvas = buildCanvas(aggregates, osCategory, browserKey, fingerprint.webgl, rand);
+  fingerprint.canvasHash = canvasHash(fingerprint.canvas);
 
-  const warnings = validateFingerprintConsistency(fingerprint, osCategory, browserKey);
-  if (warnings.length) {
-    console.warn('⚠️  Pure fingerprint consistency warnings:', warnings.join(' | '));
-  }
+  const issues = validateFingerprintConsistency(fingerprint, osCategory, browserKey);
+  reportConsistencyIssues('Pure', issues);
 
-  return { fingerprint, meta: { browserKey, osCategory } };
+  return { fingerprint, meta: { browserKey, osCategory, issues } };
 }
 
-async function generateSeededFingerprint(options = {}) {
-  const context = await buildBaseContext(options);
-  const { aggregates, distributions } = context;
+async function generateSeededFingerprint(options = {}, context = null) {
+  const { aggregates, distributions } = context || await buildBaseContext(options);
   const rand = createPRNG(options.seed);
-  const timestamp = new Date().toISOString();
+  const timestamp = resolveTimestamp(options, rand);
+
+  const constraints = resolveConstraints(options.constraints, distributions);
 
-  const osCategory = sampleOsCategory(distributions, rand, 'seeded', aggregates);
-  const browserKey = sampleBrowser(distributions, rand, osCategory, aggregates, 'seeded');
+  const osCategory = sampleOsCategory(distributions, rand, 'seeded', aggregates, constraints);
+  const browserKey = sampleBrowser(distributions, rand, osCategory, aggregates, 'seeded', constraints);
   const pool = selectSeededPool(aggregates, osCategory, browserKey);
   const baseRecord = pickRandom(pool, rand) || aggregates.records[0];
 
-  const { fingerprint } = createSeededFingerprint(
+  const { fingerprint, meta } = createSeededFingerprint(
     baseRecord,
     aggregates,
     distributions,
@@ -1733,29 +3168,31 @@ async function generateSeededFingerprint(options = {}) {
     timestamp,
     osCategory,
     browserKey,
+    constraints,
+    timestampFollowsVersion(options),
   );
 
   fingerprint.sourceMetadata.seed = options.seed ?? null;
 
-  return finalizeFingerprint(fingerprint, { baseRecord, mode: 'seeded' });
+  return finalizeFingerprint(fingerprint, { baseRecord, mode: 'seeded', issues: meta.issues });
 }
 
-async function generatePureFingerprint(options = {}) {
-  const context = await buildBaseContext(options);
+async function generatePureFingerprint(options = {}, context = null) {
+  const resolvedContext = context || await buildBaseContext(options);
   const rand = createPRNG(options.seed);
-  const timestamp = new Date().toISOString();
+  const timestamp = resolveTimestamp(options, rand);
 
-  const { fingerprint } = createPureFingerprint(context, options, rand, timestamp);
+  const { fingerprint, meta } = createPureFingerprint(resolvedContext, options, rand, timestamp);
 
-  return finalizeFingerprint(fingerprint, { baseRecord: null, mode: 'pure' });
+  return finalizeFingerprint(fingerprint, { baseRecord: null, mode: 'pure', issues: meta.issues });
 }
 
-async function generateFingerprintWithMeta(options = {}) {
+async function generateFingerprintWithMeta(options = {}, context = null) {
   const mode = options.mode || 'pure';
   if (mode === 'pure') {
-    return generatePureFingerprint(options);
+    return generatePureFingerprint(options, context);
   }
-  return generateSeededFingerprint(options);
+  return generateSeededFingerprint(options, context);
 }
 
 async function generateFingerprint(options = {}) {
@@ -1763,15 +3200,52 @@ async function generateFingerprint(options = {}) {
   return fingerprint;
 }
 
+/**
+ * Derive the seed for one item of a batch. Item 0 reuses the batch seed so a
+ * batch of one matches a single run; item N uses "<seed>#N", which can be
+ * passed back as --seed to reproduce that item on its own.
+ */
+function deriveItemSeed(seed, index) {
+  if (seed === undefined || seed === null) return undefined;
+  return index === 0 ? seed : `${seed}#${index}`;
+}
+
+/**
+ * Generate `options.count` fingerprints from a single shared context.
+ * Yields one finalized result at a time so callers can stream large batches.
+ */
+async function* generateFingerprintBatch(options = {}) {
+  const count = options.count ?? 1;
+  const context = await buildBaseContext(options);
+  for (let index = 0; index < count; index += 1) {
+    const seed = deriveItemSeed(options.seed, index);
+    const result = await generateFingerprintWithMeta({ ...options, seed }, context);
+    result.meta.index = index;
+    yield result;
+  }
+}
+
 function printUsage() {
   console.log(`Usage: node generate-fingerprint.js [options]
 
 Options:
   -m, --mode <mode>     Generation mode: pure | seeded (default: pure)
   -s, --seed <seed>     Provide a deterministic seed (number or string)
-      --save            Persist the generated fingerprint into the fingerprints directory
-  -o, --output <path>   Write the generated fingerprint to a specific path
+  -n, --count <n>       Number of fingerprints to generate (default: 1)
+  -f, --format <fmt>    Output format: json | jsonl (default: json)
+      --os <list>       Restrict the OS (comma-separated, e.g. windows,android)
+      --browser <list>  Restrict the browser (comma-separated, e.g. edge,chrome)
+      --min-version <n> Minimum browser major version
+      --as-of <date>    Only emit browser versions that were current on this date
+      --language <code> Primary language (e.g. de or de-DE)
+      --timezone <tz>   Timezone label (e.g. UTC+01:00)
+      --timestamp <iso> Override generatedAt (and the date in saved filenames)
+      --no-corpus       Pure mode only: ignore captured fingerprints, use built-in pools + CSVs
+      --save            Persist each generated fingerprint into the fingerprints directory
+  -o, --output <path>   Write the generated fingerprint(s) to a specific path
   -h, --help            Show this help message
+
+With --count, item N is generated from seed "<seed>#N" (item 0 uses the seed as-is).
 `);
 }
 
@@ -1788,6 +3262,38 @@ function parseArgs(argv) {
       case '--seed':
         options.seed = argv[++i];
         break;
+      case '-n':
+      case '--count':
+        options.count = argv[++i];
+        break;
+      case '-f':
+      case '--format':
+        options.format = argv[++i];
+        break;
+      case '--os':
+        options.constraints = { ...options.constraints, os: argv[++i] };
+        break;
+      case '--browser':
+        options.constraints = { ...options.constraints, browser: argv[++i] };
+        break;
+      case '--min-version':
+        options.constraints = { ...options.constraints, minVersion: argv[++i] };
+        break;
+      case '--as-of':
+        options.constraints = { ...options.constraints, asOf: argv[++i] };
+        break;
+      case '--language':
+        options.constraints = { ...options.constraints, language: argv[++i] };
+        break;
+      case '--timezone':
+        options.constraints = { ...options.constraints, timezone: argv[++i] };
+        break;
+      case '--timestamp':
+        options.timestamp = argv[++i];
+        break;
+      case '--no-corpus':
+        options.noCorpus = true;
+        break;
       case '--save':
         options.save = true;
         break;
@@ -1809,6 +3315,97 @@ function parseArgs(argv) {
   return options;
 }
 
+function createBatchFormatter(format, count) {
+  if (format === 'jsonl') {
+    return {
+      open: '',
+      item: fingerprint => `${JSON.stringify(fingerprint)}\n`,
+      close: '',
+    };
+  }
+  if (count === 1) {
+    return {
+      open: '',
+      item: fingerprint => `${JSON.stringify(fingerprint, null, 2)}\n`,
+      close: '',
+    };
+  }
+  return {
+    open: '[\n',
+    item: (fingerprint, index) => `${index ? ',\n' : ''}  ${JSON.stringify(fingerprint, null, 2).replace(/\n/g, '\n  ')}`,
+    close: '\n]\n',
+  };
+}
+
+const streamStates = new WeakMap();
+
+/**
+ * Attach one persistent 'error' listener to an output stream. Errors can
+ * arrive at any time (an async write failure after write() returned true,
+ * EPIPE on stdout); they are recorded and fail the pending or next
+ * write/close instead of crashing the process.
+ */
+function watchStreamErrors(stream) {
+  const state = { error: null, waiters: new Set() };
+  stream.on('error', error => {
+    if (!state.error) state.error = error;
+    state.waiters.forEach(reject => reject(error));
+    state.waiters.clear();
+  });
+  streamStates.set(stream, state);
+  return stream;
+}
+
+function waitForStream(stream, event) {
+  const state = streamStates.get(stream);
+  return new Promise((resolve, reject) => {
+    if (state.error) {
+      reject(state.error);
+      return;
+    }
+    state.waiters.add(reject);
+    stream.once(event, () => {
+      state.waiters.delete(reject);
+      resolve();
+    });
+  });
+}
+
+function writeChunk(stream, chunk) {
+  const { error } = streamStates.get(stream);
+  if (error) return Promise.reject(error);
+  if (!chunk || stream.write(chunk)) return Promise.resolve();
+  return waitForStream(stream, 'drain');
+}
+
+function openWriteStream(filepath) {
+  return new Promise((resolve, reject) => {
+    const stream = createWriteStream(filepath);
+    stream.once('error', reject);
+    stream.once('open', () => {
+      stream.removeListener('error', reject);
+      resolve(watchStreamErrors(stream));
+    });
+  });
+}
+
+function closeStream(stream) {
+  const finished = waitForStream(stream, 'finish');
+  stream.end();
+  return finished;
+}
+
+function uniqueFilename(filename, usedFilenames) {
+  let candidate = filename;
+  let suffix = 2;
+  while (usedFilenames.has(candidate)) {
+    candidate = filename.replace(/\.json$/, `-${suffix}.json`);
+    suffix += 1;
+  }
+  usedFilenames.add(candidate);
+  return candidate;
+}
+
 async function runCli() {
   const args = parseArgs(process.argv.slice(2));
   const mode = args.mode || 'pure';
@@ -1817,28 +3414,63 @@ async function runCli() {
     process.exit(1);
   }
 
+  const format = args.format || 'json';
+  if (format !== 'json' && format !== 'jsonl') {
+    console.error('❌ Invalid format. Expected "json" or "jsonl".');
+    process.exit(1);
+  }
+
+  const count = args.count === undefined ? 1 : Number(args.count);
+  if (!Number.isInteger(count) || count < 1) {
+    console.error('❌ Invalid count. Expected a positive integer.');
+    process.exit(1);
+  }
+
   try {
-    const result = await generateFingerprintWithMeta({ mode, seed: args.seed });
-    const { fingerprint, filename } = result;
-    const json = JSON.stringify(fingerprint, null, 2);
-
-    if (args.output) {
-      const outputPath = path.resolve(process.cwd(), args.output);
-      await fs.writeFile(outputPath, json);
-      console.log(`✅ Generated fingerprint saved to ${outputPath}`);
-      return;
-    }
+    const batch = generateFingerprintBatch({
+      mode,
+      seed: args.seed,
+      count,
+      constraints: args.constraints,
+      timestamp: args.timestamp,
+      noCorpus: args.noCorpus,
+    });
 
-    if (args.save) {
+    if (args.save && !args.output) {
       await fs.mkdir(FINGERPRINTS_DIR, { recursive: true });
-      const targetPath = path.join(FINGERPRINTS_DIR, filename);
-      await fs.writeFile(targetPath, json);
-      console.log(`✅ Generated ${mode} fingerprint`);
-      console.log(`   Saved as ${path.relative(process.cwd(), targetPath)}`);
+      const usedFilenames = new Set();
+      let lastPath = null;
+      for await (const { fingerprint, filename } of batch) {
+        assertValidSchema(fingerprint, 'Generated fingerprint');
+        lastPath = path.join(FINGERPRINTS_DIR, uniqueFilename(filename, usedFilenames));
+        await fs.writeFile(lastPath, JSON.stringify(fingerprint, null, 2));
+      }
+      if (count === 1) {
+        console.log(`✅ Generated ${mode} fingerprint`);
+        console.log(`   Saved as ${path.relative(process.cwd(), lastPath)}`);
+      } else {
+        console.log(`✅ Generated ${count} ${mode} fingerprints`);
+        console.log(`   Saved into ${path.relative(process.cwd(), FINGERPRINTS_DIR) || '.'}`);
+      }
       return;
     }
 
-    console.log(json);
+    const outputPath = args.output ? path.resolve(process.cwd(), args.output) : null;
+    const stream = outputPath ? await openWriteStream(outputPath) : watchStreamErrors(process.stdout);
+    const formatter = createBatchFormatter(format, count);
+
+    await writeChunk(stream, formatter.open);
+    for await (const { fingerprint, meta } of batch) {
+      assertValidSchema(fingerprint, 'Generated fingerprint');
+      await writeChunk(stream, formatter.item(fingerprint, meta.index));
+    }
+    await writeChunk(stream, formatter.close);
+
+    if (outputPath) {
+      await closeStream(stream);
+      const noun = count === 1 ? 'fingerprint' : `${count} fingerprints`;
+      console.log(`✅ Generated ${noun} saved to ${outputPath}`);
+    }
   } catch (error) {
     console.error(`❌ ${error.message}`);
     process.exit(1);
@@ -1852,4 +3484,15 @@ if (require.main === module) {
 module.exports = {
   generateFingerprint,
   generateFingerprintWithMeta,
+  generateFingerprintBatch,
+  deriveItemSeed,
+  detectOsCategory,
+  parseWeightedCsv,
+  browserFileSegment,
+  BROWSER_OS_COMPATIBILITY,
+  DEFAULT_PLATFORMS,
+  OS_DETAIL_FILENAME_BY_CATEGORY,
+  CONDITIONAL_CSV_PATTERN,
+  DISTRIBUTION_DIR,
+  FINGERPRINTS_DIR,
 };
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+
+// migrate-fingerprints.js
+// Upgrade fingerprint files in fingerprints/ to the current schema version.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { SCHEMA_VERSION, migrateFingerprint, validateSchema } = require('./fingerprint-schema');
+
+const FINGERPRINTS_DIR = path.resolve(__dirname, 'fingerprints');
+
+function printUsage() {
+  console.log(`Usage: node migrate-fingerprints.js [options] [files...]
+
+Upgrades every JSON file in fingerprints/ (or the given files) to schema v${SCHEMA_VERSION}.
+
+Options:
+      --dry-run         Report what would change without writing files
+  -h, --help            Show this help message
+`);
+}
+
+function parseArgs(argv) {
+  const options = { files: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '-h':
+      case '--help':
+        printUsage();
+        process.exit(0);
+        break;
+      default:
+        if (arg.startsWith('-')) {
+          console.error(`Unknown argument: ${arg}`);
+          printUsage();
+          process.exit(1);
+        }
+        options.files.push(path.resolve(process.cwd(), arg));
+    }
+  }
+  return options;
+}
+
+async function listTargets(files) {
+  if (files.length) return files;
+  let entries;
+  try {
+    entries = await fs.readdir(FINGERPRINTS_DIR);
+  } catch (error) {
+    throw new Error(`Cannot read fingerprints directory: ${FINGERPRINTS_DIR}`);
+  }
+  return entries
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => path.join(FINGERPRINTS_DIR, name));
+}
+
+async function migrateFile(filepath, options = {}) {
+  const content = await fs.readFile(filepath, 'utf8');
+  const { fingerprint, from, to, changed } = migrateFingerprint(JSON.parse(content));
+  const errors = validateSchema(fingerprint);
+  if (errors.length) {
+    throw new Error(`still invalid after migration: ${errors.slice(0, 3).join('; ')}`);
+  }
+  if (changed && !options.dryRun) {
+    await fs.writeFile(filepath, JSON.stringify(fingerprint, null, 2));
+  }
+  return { from, to, changed };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const targets = await listTargets(options.files);
+
+  if (targets.length === 0) {
+    console.log('ℹ️  No fingerprint files found to migrate.');
+    return;
+  }
+
+  let migrated = 0;
+  let current = 0;
+  let failed = 0;
+  for (const filepath of targets) {
+    const label = path.relative(process.cwd(), filepath);
+    try {
+      const result = await migrateFile(filepath, options);
+      if (result.changed) {
+        migrated += 1;
+        console.log(`✅ ${options.dryRun ? 'Would migrate' : 'Migrated'} ${label} (v${result.from} -> v${result.to})`);
+      } else {
+        current += 1;
+      }
+    } catch (error) {
+      failed += 1;
+      console.error(`❌ Failed to migrate ${label}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n📊 ${migrated} migrated, ${current} already at v${SCHEMA_VERSION}, ${failed} failed`);
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  migrateFile,
+};
@@ -8,6 +8,7 @@
 const fs = require('fs/promises');
 const path = require('path');
 const crypto = require('crypto');
+const { SCHEMA_VERSION, assertValidSchema } = require('./fingerprint-schema');
 
 const AMIUNIQUE_DIR = path.resolve(__dirname, 'amiunique');
 const FINGERPRINTS_DIR = path.resolve(__dirname, 'fingerprints');
@@ -242,6 +243,8 @@ function buildFingerprint(document) {
     sampleRate: parseNumber(audioContext.sampleRate),
     state: cleanString(audioContext.state),
     maxChannelCount: parseNumber(analyserNode.channelCount),
+    baseLatency: parseNumber(audioContext.baseLatency),
+    outputLatency: parseNumber(audioContext.outputLatency),
   };
 
   const permissions = attrs.permissions || {};
@@ -266,6 +269,7 @@ function buildFingerprint(document) {
   const browserName = detectBrowserName(userAgent, document.summary);
 
   return {
+    schemaVersion: SCHEMA_VERSION,
     navigator,
     screen,
     timezone,
@@ -306,6 +310,7 @@ async function normalizeFile(filePath) {
   const filename = `fingerprint-c-${browserSegment}-amiunique-${timestamp}-${fingerprintHash}.json`;
   const outputPath = path.join(FINGERPRINTS_DIR, filename);
 
+  assertValidSchema(fingerprint, `Normalized ${path.basename(filePath)}`);
   await fs.mkdir(FINGERPRINTS_DIR, { recursive: true });
   await fs.writeFile(outputPath, JSON.stringify(fingerprint, null, 2));
 
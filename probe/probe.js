@@ -0,0 +1,497 @@
+// probe/probe.js
+// Fingerprint probe loaded by probe/index.html. capture-real-fingerprint.js
+// serves this page locally and calls window.fingerprintProbe.collect(), so
+// capture needs no network and no third-party scripts run alongside it.
+// Bump PROBE_VERSION whenever the collected fields change.
+(function () {
+  const PROBE_VERSION = 3;
+
+  async function collect({ fontCandidates = [], mediaProbes = { codecMatrix: [], decodingConfigs: {} } } = {}) {
+    // Helper: SHA-256 hex of a byte buffer (null outside secure contexts)
+    async function hashBytes(bytes) {
+      if (!window.crypto || !window.crypto.subtle) return null;
+      const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+      return Array.from(new Uint8Array(digest))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+    }
+
+    // Helper: Limits detectors read through getParameter
+    function getWebGLParameters(gl) {
+      const names = [
+        'MAX_TEXTURE_SIZE',
+        'MAX_CUBE_MAP_TEXTURE_SIZE',
+        'MAX_RENDERBUFFER_SIZE',
+        'MAX_VIEWPORT_DIMS',
+        'MAX_VERTEX_ATTRIBS',
+        'MAX_VERTEX_UNIFORM_VECTORS',
+        'MAX_FRAGMENT_UNIFORM_VECTORS',
+        'MAX_VARYING_VECTORS',
+        'MAX_TEXTURE_IMAGE_UNITS',
+        'MAX_VERTEX_TEXTURE_IMAGE_UNITS',
+        'MAX_COMBINED_TEXTURE_IMAGE_UNITS',
+        'ALIASED_LINE_WIDTH_RANGE',
+        'ALIASED_POINT_SIZE_RANGE',
+      ];
+      const parameters = {};
+      names.forEach(name => {
+        const value = gl.getParameter(gl[name]);
+        parameters[name] = value && typeof value === 'object' ? Array.from(value) : value;
+      });
+      const anisotropic = gl.getExtension('EXT_texture_filter_anisotropic');
+      parameters.MAX_TEXTURE_MAX_ANISOTROPY_EXT = anisotropic
+        ? gl.getParameter(anisotropic.MAX_TEXTURE_MAX_ANISOTROPY_EXT)
+        : null;
+      return parameters;
+    }
+
+    // Helper: getShaderPrecisionFormat for every shader/precision pair
+    function getShaderPrecision(gl) {
+      const precision = {};
+      ['VERTEX_SHADER', 'FRAGMENT_SHADER'].forEach(shader => {
+        precision[shader] = {};
+        ['LOW_FLOAT', 'MEDIUM_FLOAT', 'HIGH_FLOAT', 'LOW_INT', 'MEDIUM_INT', 'HIGH_INT'].forEach(type => {
+          const format = gl.getShaderPrecisionFormat(gl[shader], gl[type]);
+          precision[shader][type] = format
+            ? { rangeMin: format.rangeMin, rangeMax: format.rangeMax, precision: format.precision }
+            : null;
+        });
+      });
+      return precision;
+    }
+
+    // Helper: Render a fixed gradient triangle and hash the pixels
+    async function getWebGLSceneHash(gl) {
+      const vertexSource = `
+        attribute vec2 position;
+        attribute vec3 color;
+        varying vec3 vColor;
+        void main() {
+          vColor = color;
+          gl_Position = vec4(position, 0.0, 1.0);
+        }`;
+      const fragmentSource = `
+        precision mediump float;
+        varying vec3 vColor;
+        void main() {
+          gl_FragColor = vec4(vColor * 0.9 + sin(gl_FragCoord.x * 0.1) * 0.1, 1.0);
+        }`;
+      const compile = (type, source) => {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        return shader;
+      };
+      const program = gl.createProgram();
+      gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexSource));
+      gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+      gl.linkProgram(program);
+      if (!gl.getProgramParameter(program, gl.LINK_STATUS)) return null;
+      gl.useProgram(program);
+
+      const vertices = new Float32Array([
+        -0.9, -0.8, 1.0, 0.2, 0.1,
+        0.85, -0.6, 0.1, 0.8, 0.3,
+        -0.1, 0.95, 0.2, 0.3, 1.0,
+      ]);
+      gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+      gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
+      const position = gl.getAttribLocation(program, 'position');
+      const color = gl.getAttribLocation(program, 'color');
+      gl.enableVertexAttribArray(position);
+      gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 20, 0);
+      gl.enableVertexAttribArray(color);
+      gl.vertexAttribPointer(color, 3, gl.FLOAT, false, 20, 8);
+
+      gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+      gl.clearColor(0.05, 0.05, 0.05, 1.0);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      gl.drawArrays(gl.TRIANGLES, 0, 3);
+
+      const pixels = new Uint8Array(gl.drawingBufferWidth * gl.drawingBufferHeight * 4);
+      gl.readPixels(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+      return hashBytes(pixels);
+    }
+
+    // Helper: Detect GPU info
+    async function getWebGLInfo() {
+      try {
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 128;
+        const gl = canvas.getContext('webgl', { preserveDrawingBuffer: true })
+          || canvas.getContext('experimental-webgl');
+        if (!gl) return { supported: false };
+
+        const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+        const gl2 = document.createElement('canvas').getContext('webgl2');
+        return {
+          supported: true,
+          vendor: debugInfo ? gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL) : null,
+          renderer: debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : null,
+          glVendor: gl.getParameter(gl.VENDOR),
+          glRenderer: gl.getParameter(gl.RENDERER),
+          version: gl.getParameter(gl.VERSION),
+          shadingLanguageVersion: gl.getParameter(gl.SHADING_LANGUAGE_VERSION),
+          extensions: gl.getSupportedExtensions() || [],
+          webgl2Extensions: gl2 ? gl2.getSupportedExtensions() || [] : null,
+          parameters: getWebGLParameters(gl),
+          shaderPrecision: getShaderPrecision(gl),
+          sceneHash: await getWebGLSceneHash(gl).catch(() => null),
+        };
+      } catch (e) {
+        return { supported: false, error: e.message };
+      }
+    }
+
+    // Helper: Canvas fingerprint
+    function getCanvasFingerprint() {
+      try {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        ctx.textBaseline = 'top';
+        ctx.font = '14px Arial';
+        ctx.fillStyle = '#f60';
+        ctx.fillRect(125, 1, 62, 20);
+        ctx.fillStyle = '#069';
+        ctx.fillText('Hello, world!', 2, 15);
+        return canvas.toDataURL();
+      } catch (e) {
+        return null;
+      }
+    }
+
+    // Helper: Standard OfflineAudioContext render (triangle oscillator through
+    // a dynamics compressor). The output differs with the engine's DSP code
+    // and the platform's float math, so the sum and hash identify the stack.
+    async function getOfflineAudioRender() {
+      const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+      if (!OfflineContext) return null;
+      const context = new OfflineContext(1, 5000, 44100);
+      const oscillator = context.createOscillator();
+      oscillator.type = 'triangle';
+      oscillator.frequency.value = 10000;
+
+      const compressor = context.createDynamicsCompressor();
+      compressor.threshold.value = -50;
+      compressor.knee.value = 40;
+      compressor.ratio.value = 12;
+      compressor.attack.value = 0;
+      compressor.release.value = 0.25;
+
+      oscillator.connect(compressor);
+      compressor.connect(context.destination);
+      oscillator.start(0);
+
+      const buffer = await new Promise((resolve, reject) => {
+        context.oncomplete = event => resolve(event.renderedBuffer);
+        const rendering = context.startRendering();
+        if (rendering && typeof rendering.catch === 'function') rendering.catch(reject);
+        setTimeout(() => reject(new Error('OfflineAudioContext render timed out')), 5000);
+      });
+      const samples = buffer.getChannelData(0);
+      let sum = 0;
+      for (let i = 4500; i < samples.length; i += 1) {
+        sum += Math.abs(samples[i]);
+      }
+      return {
+        sum,
+        hash: await hashBytes(new Uint8Array(samples.buffer, samples.byteOffset, samples.byteLength)),
+      };
+    }
+
+    // Helper: Audio context fingerprint
+    async function getAudioFingerprint() {
+      try {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) return { supported: false };
+
+        const ctx = new AudioContext();
+        const destination = ctx.destination;
+        const audio = {
+          supported: true,
+          sampleRate: ctx.sampleRate,
+          state: ctx.state,
+          maxChannelCount: destination.maxChannelCount,
+          channelCount: destination.channelCount,
+          channelCountMode: destination.channelCountMode,
+          channelInterpretation: destination.channelInterpretation,
+          baseLatency: typeof ctx.baseLatency === 'number' ? ctx.baseLatency : null,
+          outputLatency: typeof ctx.outputLatency === 'number' ? ctx.outputLatency : null,
+          offlineRender: await getOfflineAudioRender().catch(() => null),
+        };
+        if (typeof ctx.close === 'function') await ctx.close().catch(() => {});
+        return audio;
+      } catch (e) {
+        return { supported: false };
+      }
+    }
+
+    // Helper: Installed fonts. A candidate is present when text set in it
+    // (with a generic fallback) measures differently from the fallback alone.
+    function getInstalledFonts() {
+      try {
+        const baseFonts = ['monospace', 'sans-serif', 'serif'];
+        const testString = 'mmmmmmmmmmlli';
+        const span = document.createElement('span');
+        span.style.position = 'absolute';
+        span.style.left = '-9999px';
+        span.style.fontSize = '72px';
+        span.style.whiteSpace = 'nowrap';
+        span.textContent = testString;
+        document.body.appendChild(span);
+
+        const measure = fontFamily => {
+          span.style.fontFamily = fontFamily;
+          return `${span.offsetWidth}x${span.offsetHeight}`;
+        };
+        const baseline = {};
+        baseFonts.forEach(base => {
+          baseline[base] = measure(base);
+        });
+        const detected = fontCandidates.filter(font =>
+          baseFonts.some(base => measure(`"${font}", ${base}`) !== baseline[base])
+        );
+
+        document.body.removeChild(span);
+        return detected;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    // Helper: Codec support per MIME type (canPlayType and MSE)
+    function getCodecSupport() {
+      const video = document.createElement('video');
+      const codecs = {};
+      mediaProbes.codecMatrix.forEach(type => {
+        let mediaSource = null;
+        if (window.MediaSource && typeof MediaSource.isTypeSupported === 'function') {
+          mediaSource = MediaSource.isTypeSupported(type);
+        }
+        codecs[type] = { canPlayType: video.canPlayType(type), mediaSource };
+      });
+      return codecs;
+    }
+
+    // Helper: mediaCapabilities.decodingInfo for the shared configs
+    async function getDecodingInfo() {
+      if (!navigator.mediaCapabilities || typeof navigator.mediaCapabilities.decodingInfo !== 'function') {
+        return null;
+      }
+      const results = {};
+      for (const [label, config] of Object.entries(mediaProbes.decodingConfigs)) {
+        const kind = config.contentType.startsWith('audio/') ? 'audio' : 'video';
+        try {
+          const info = await navigator.mediaCapabilities.decodingInfo({ type: 'file', [kind]: config });
+          results[label] = {
+            supported: info.supported,
+            smooth: info.smooth,
+            powerEfficient: info.powerEfficient,
+          };
+        } catch (e) {
+          results[label] = null;
+        }
+      }
+      return results;
+    }
+
+    // Helper: Media device counts per kind (labels and ids are never stored)
+    async function getMediaDevices() {
+      if (!navigator.mediaDevices || typeof navigator.mediaDevices.enumerateDevices !== 'function') {
+        return null;
+      }
+      try {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        const counts = { audioinput: 0, audiooutput: 0, videoinput: 0 };
+        devices.forEach(device => {
+          counts[device.kind] = (counts[device.kind] || 0) + 1;
+        });
+        return counts;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    // Helper: Speech synthesis voices. Chromium fills the list asynchronously,
+    // so wait briefly for voiceschanged when it starts out empty.
+    async function getSpeechVoices() {
+      if (!window.speechSynthesis) return null;
+      let voices = speechSynthesis.getVoices();
+      if (!voices.length) {
+        await new Promise(resolve => {
+          const timer = setTimeout(resolve, 1500);
+          speechSynthesis.addEventListener('voiceschanged', () => {
+            clearTimeout(timer);
+            resolve();
+          }, { once: true });
+        });
+        voices = speechSynthesis.getVoices();
+      }
+      return voices.map(voice => ({ name: voice.name, lang: voice.lang }));
+    }
+
+    // Helper: User-Agent Client Hints (Chromium only)
+    async function getUserAgentData() {
+      const uaData = navigator.userAgentData;
+      if (!uaData) return null;
+      let highEntropy = null;
+      try {
+        highEntropy = await uaData.getHighEntropyValues([
+          'architecture',
+          'bitness',
+          'model',
+          'platformVersion',
+          'uaFullVersion',
+          'fullVersionList',
+          'wow64',
+        ]);
+        // The low-entropy fields are repeated in the result; keep them once.
+        delete highEntropy.brands;
+        delete highEntropy.mobile;
+        delete highEntropy.platform;
+      } catch (e) {
+        // Denied by permissions policy or not implemented
+      }
+      return {
+        brands: Array.from(uaData.brands || []).map(b => ({ brand: b.brand, version: b.version })),
+        mobile: uaData.mobile,
+        platform: uaData.platform,
+        highEntropy,
+      };
+    }
+
+    // Helper: Automation artifacts visible to page scripts. Each check is
+    // true when the artifact is present, null when it does not apply.
+    async function getAutomationSignals(webgl) {
+      const userAgent = navigator.userAgent || '';
+      const isChromium = /Chrome\//.test(userAgent);
+      const checks = {
+        webdriver: navigator.webdriver === true,
+        // The real getter lives on Navigator.prototype; an own property means
+        // something (such as an init script) redefined it.
+        webdriverOverridden: Object.prototype.hasOwnProperty.call(navigator, 'webdriver'),
+        cdcProperties: [window, document]
+          .flatMap(target => Object.getOwnPropertyNames(target))
+          .filter(name => /^(\$?cdc_|\$wdc_|__webdriver|__selenium|__playwright|__pw)/.test(name)),
+        chromeObjectMissing: isChromium ? !window.chrome : null,
+        chromeRuntimeMissing: isChromium ? !(window.chrome && window.chrome.runtime) : null,
+        headlessUserAgent: /HeadlessChrome/.test(userAgent),
+        permissionsMismatch: null,
+        swiftShaderRenderer: /SwiftShader/i.test((webgl && webgl.renderer) || ''),
+        noPlugins: isChromium ? (navigator.plugins || []).length === 0 : null,
+        noLanguages: !navigator.languages || navigator.languages.length === 0,
+      };
+
+      // Headless Chromium reports Notification.permission "denied" while the
+      // Permissions API still says "prompt".
+      if (window.Notification && navigator.permissions) {
+        try {
+          const status = await navigator.permissions.query({ name: 'notifications' });
+          checks.permissionsMismatch = Notification.permission === 'denied' && status.state === 'prompt';
+        } catch (e) {
+          // Permission name not supported
+        }
+      }
+
+      const detected = Object.entries(checks)
+        .filter(([, value]) => (Array.isArray(value) ? value.length > 0 : value === true))
+        .map(([key]) => key);
+      return { detected, checks };
+    }
+
+    // Helper: Screen info
+    const screenInfo = {
+      width: screen.width,
+      height: screen.height,
+      availWidth: screen.availWidth,
+      availHeight: screen.availHeight,
+      colorDepth: screen.colorDepth,
+      pixelDepth: screen.pixelDepth,
+    };
+
+    // Helper: Plugins
+    const plugins = Array.from(navigator.plugins || []).map(p => ({
+      name: p.name,
+      description: p.description,
+      filename: p.filename,
+    }));
+
+    // Helper: MimeTypes
+    const mimeTypes = Array.from(navigator.mimeTypes || []).map(m => ({
+      type: m.type,
+      description: m.description,
+      suffixes: m.suffixes,
+    }));
+
+    const webgl = await getWebGLInfo();
+    const canvas = getCanvasFingerprint();
+
+    // Main fingerprint object
+    return {
+      // Navigator
+      navigator: {
+        userAgent: navigator.userAgent,
+        appVersion: navigator.appVersion,
+        platform: navigator.platform,
+        vendor: navigator.vendor,
+        language: navigator.language,
+        languages: navigator.languages,
+        cookieEnabled: navigator.cookieEnabled,
+        doNotTrack: navigator.doNotTrack,
+        hardwareConcurrency: navigator.hardwareConcurrency,
+        deviceMemory: navigator.deviceMemory,
+        maxTouchPoints: navigator.maxTouchPoints,
+        product: navigator.product,
+        productSub: navigator.productSub,
+        webdriver: navigator.webdriver,
+        userAgentData: await getUserAgentData(),
+      },
+
+      // Screen
+      screen: screenInfo,
+
+      // Timezone
+      timezone: {
+        offset: new Date().getTimezoneOffset(),
+        name: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      },
+
+      // Graphics
+      webgl,
+      canvas,
+      canvasHash: canvas ? await hashBytes(new TextEncoder().encode(canvas)) : null,
+      audio: await getAudioFingerprint(),
+      fonts: getInstalledFonts(),
+
+      // Media
+      media: {
+        codecs: getCodecSupport(),
+        decodingInfo: await getDecodingInfo(),
+        devices: await getMediaDevices(),
+        voices: await getSpeechVoices(),
+      },
+
+      // Browser features
+      plugins: plugins.slice(0, 10), // Limit output
+      mimeTypes: mimeTypes.slice(0, 10),
+
+      // Feature detection
+      features: {
+        indexedDB: !!window.indexedDB,
+        localStorage: !!window.localStorage,
+        sessionStorage: !!window.sessionStorage,
+        webgl: !!document.createElement('canvas').getContext('webgl'),
+        webgl2: !!document.createElement('canvas').getContext('webgl2'),
+        serviceWorker: 'serviceWorker' in navigator,
+        notification: 'Notification' in window,
+        geolocation: 'geolocation' in navigator,
+      },
+
+      // Automation artifacts that may taint the values above
+      automationSignals: await getAutomationSignals(webgl),
+    };
+  }
+
+  window.fingerprintProbe = { version: PROBE_VERSION, collect };
+})();
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+
+// validate-fingerprints.js
+// Run the consistency rules from fingerprint-validator.js over fingerprint files
+// and print a JSON report. With --fix, repairable fields are rewritten in place.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { validateFingerprint, summarizeIssues } = require('./fingerprint-validator');
+const { validateSchema } = require('./fingerprint-schema');
+const { detectOsCategory, BROWSER_OS_COMPATIBILITY, FINGERPRINTS_DIR } = require('./generate-fingerprint');
+
+function printUsage() {
+  console.log(`Usage: node validate-fingerprints.js [options] [files...]
+
+Validates every JSON file in fingerprints/ (or the given files) and prints a JSON report.
+
+Options:
+      --fix             Repair fixable issues and rewrite the files in place
+  -h, --help            Show this help message
+
+Exit code is 1 when any error-severity issue remains.
+`);
+}
+
+function parseArgs(argv) {
+  const options = { files: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--fix':
+        options.fix = true;
+        break;
+      case '-h':
+      case '--help':
+        printUsage();
+        process.exit(0);
+        break;
+      default:
+        if (arg.startsWith('-')) {
+          console.error(`Unknown argument: ${arg}`);
+          printUsage();
+          process.exit(1);
+        }
+        options.files.push(path.resolve(process.cwd(), arg));
+    }
+  }
+  return options;
+}
+
+async function listTargets(files) {
+  if (files.length) return files;
+  let entries;
+  try {
+    entries = await fs.readdir(FINGERPRINTS_DIR);
+  } catch (error) {
+    throw new Error(`Cannot read fingerprints directory: ${FINGERPRINTS_DIR}`);
+  }
+  return entries
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => path.join(FINGERPRINTS_DIR, name));
+}
+
+async function validateFile(filepath, options) {
+  const entry = {
+    file: path.relative(process.cwd(), filepath),
+    osCategory: null,
+    browserKey: null,
+    issues: [],
+  };
+
+  let fingerprint;
+  try {
+    fingerprint = JSON.parse(await fs.readFile(filepath, 'utf8'));
+  } catch (error) {
+    entry.issues.push({ rule: 'parse', severity: 'error', message: error.message, fixable: false, fixed: false });
+    return entry;
+  }
+
+  entry.osCategory = detectOsCategory(fingerprint);
+  entry.browserKey = (fingerprint.browserName || 'unknown').trim().toLowerCase();
+  entry.issues = validateFingerprint(
+    fingerprint,
+    { osCategory: entry.osCategory, browserKey: entry.browserKey, compatibility: BROWSER_OS_COMPATIBILITY },
+    { fix: options.fix },
+  );
+
+  validateSchema(fingerprint).forEach(message => {
+    entry.issues.push({ rule: 'schema', severity: 'error', message, fixable: false, fixed: false });
+  });
+
+  if (entry.issues.some(issue => issue.fixed)) {
+    await fs.writeFile(filepath, JSON.stringify(fingerprint, null, 2));
+  }
+
+  return entry;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const targets = await listTargets(options.files);
+
+  const files = [];
+  for (const filepath of targets) {
+    files.push(await validateFile(filepath, options));
+  }
+
+  const totals = summarizeIssues(files.flatMap(entry => entry.issues));
+  const report = {
+    fix: Boolean(options.fix),
+    summary: {
+      files: files.length,
+      clean: files.filter(entry => !entry.issues.some(issue => !issue.fixed && issue.severity !== 'info')).length,
+      ...totals,
+    },
+    files,
+  };
+
+  console.log(JSON.stringify(report, null, 2));
+  if (totals.error > 0) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  validateFile,
+};